@@ -0,0 +1,126 @@
+// Group-by aggregation over incident fields and time buckets.
+// Output is either a flat table or ApexCharts-style series.
+
+const INTERVALS = ['day', 'week', 'month', 'year'];
+const METRICS   = ['count', 'share'];
+
+// ---- Time bucket label for a YYYY-MM-DD date ----
+// Weeks are ISO weeks ('2008-W01'), so a week can belong to the previous or next year.
+function periodKey(date, interval) {
+  switch (interval) {
+    case 'day':   return date;
+    case 'month': return date.slice(0, 7);
+    case 'year':  return date.slice(0, 4);
+    case 'week':  return isoWeek(date);
+    default:      return null;
+  }
+}
+
+function isoWeek(date) {
+  const d = new Date(`${date}T00:00:00Z`);
+  if (isNaN(d)) return date;
+
+  // Thursday of this week decides which year the week belongs to
+  const day = d.getUTCDay() || 7;
+  d.setUTCDate(d.getUTCDate() + 4 - day);
+  const yearStart = Date.UTC(d.getUTCFullYear(), 0, 1);
+  const week      = Math.ceil(((d - yearStart) / 86400000 + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, '0')}`;
+}
+
+// ---- Count incidents per combination of groupBy fields (and period) ----
+// Returns rows sorted by period, then by descending count.
+function aggregate(incidents, { groupBy = [], interval = null, metric = 'count' } = {}) {
+  const groups = new Map();
+
+  for (const incident of incidents) {
+    const keys = groupBy.map(field => incident[field]);
+    if (interval) keys.push(periodKey(incident.date, interval));
+
+    const id = JSON.stringify(keys);
+    const group = groups.get(id);
+    if (group) group.count++;
+    else       groups.set(id, { keys, count: 1 });
+  }
+
+  const rows = [];
+  for (const { keys, count } of groups.values()) {
+    const row = {};
+    groupBy.forEach((field, i) => { row[field] = keys[i]; });
+    if (interval) row.period = keys[groupBy.length];
+    row[metric] = metric === 'share' ? count / incidents.length : count;
+    rows.push(row);
+  }
+
+  rows.sort((a, b) => {
+    if (interval && a.period !== b.period) return a.period < b.period ? -1 : 1;
+    return b[metric] - a[metric];
+  });
+
+  return rows;
+}
+
+// ---- Reshape aggregate rows into ApexCharts series ----
+// With an interval: one series per group, x axis = periods (zero-filled).
+// Without: one series per value of every field but the last, with the last
+// field as the x value -- the same shape the treemap uses.
+function toSeries(rows, { groupBy = [], interval = null, metric = 'count' } = {}) {
+  if (interval) {
+    const categories = Array.from(new Set(rows.map(r => r.period))).sort();
+    const position   = new Map(categories.map((p, i) => [p, i]));
+    const series     = new Map();
+
+    for (const row of rows) {
+      const name = groupBy.length ? groupBy.map(f => row[f]).join(' / ') : metric;
+      if (!series.has(name)) series.set(name, new Array(categories.length).fill(0));
+      series.get(name)[position.get(row.period)] = row[metric];
+    }
+
+    return {
+      categories,
+      series: Array.from(series, ([name, data]) => ({ name, data }))
+    };
+  }
+
+  const seriesFields = groupBy.slice(0, -1);
+  const xField       = groupBy[groupBy.length - 1];
+  const series       = new Map();
+
+  for (const row of rows) {
+    const name = seriesFields.length ? seriesFields.map(f => row[f]).join(' / ') : metric;
+    if (!series.has(name)) series.set(name, []);
+    series.get(name).push({ x: xField ? row[xField] : metric, y: row[metric] });
+  }
+
+  return {
+    series: Array.from(series, ([name, data]) => ({ name, data }))
+  };
+}
+
+// ---- Lay daily counts out as a calendar grid, one block per year ----
+// Columns are weeks starting on Monday (week 0 holds 1 January), rows are
+// weekdays 0 = Monday .. 6 = Sunday -- the usual contribution-calendar layout.
+function calendarGrid(dates, counts) {
+  const years = new Map();
+
+  dates.forEach((date, i) => {
+    const d = new Date(`${date}T00:00:00Z`);
+    if (isNaN(d)) return;
+
+    const year      = d.getUTCFullYear();
+    const jan1      = Date.UTC(year, 0, 1);
+    const jan1Day   = (new Date(jan1).getUTCDay() + 6) % 7;
+    const dayOfYear = Math.round((d - jan1) / 86400000);
+    const weekday   = (d.getUTCDay() + 6) % 7;
+
+    if (!years.has(year)) years.set(year, { year, total: 0, max: 0, cells: [] });
+    const block = years.get(year);
+    block.cells.push({ date, week: Math.floor((dayOfYear + jan1Day) / 7), weekday, count: counts[i] });
+    block.total += counts[i];
+    block.max    = Math.max(block.max, counts[i]);
+  });
+
+  return Array.from(years.values());
+}
+
+module.exports = { aggregate, toSeries, periodKey, calendarGrid, INTERVALS, METRICS };
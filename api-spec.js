@@ -0,0 +1,363 @@
+// Route definitions for the public API, in OpenAPI 3 form. This is the one
+// place routes and their parameters are described: it generates the
+// document served at /api/openapi.json, drives request validation (see
+// request-validator.js) and the endpoint listings in `/` and the startup
+// log. createTheaterRouter() refuses to start with a route missing here.
+//
+// Paths use Express syntax (`:date`) and are relative to their mount point:
+// THEATER_ROUTES under /api/v1/theaters/:theater (and each theater's legacy
+// alias), APP_ROUTES under /api/v1 (and the unversioned /api).
+
+const { version }         = require('./package.json');
+const { EXPORT_FORMATS }  = require('./export-formats');
+const { INTERVALS, METRICS } = require('./aggregation');
+const { TREND_METHODS }   = require('./trends');
+const { HOTSPOT_METHODS } = require('./hotspots');
+const { PLAYBACK_GRANULARITIES, PLAYBACK_FORMATS } = require('./playback');
+const { NETWORK_LEVELS, MAX_LEVELS } = require('./network');
+const { COMPARE_INTERVALS, COMPARE_ALIGNS, COMPARE_METRICS, COMPARE_GROUPS } = require('./comparison');
+
+const API_VERSION = 'v1';
+
+// Parameter limits, shared with the route handlers
+const DEFAULT_LIMIT     = 500;
+const MAX_LIMIT         = 5000;
+const MAX_RADIUS_KM     = 500;
+const MAX_ZOOM          = 20;
+const MAX_TREND_WINDOW  = 90;
+const MAX_BASELINE_DAYS = 365;
+const MAX_AUDIT_LIMIT   = 1000;
+const MIN_CELL_KM       = 0.5;
+const MAX_CELL_KM       = 100;
+const MAX_PLAYBACK_FPS  = 100;
+
+// Equality filters a theater may support, and every descriptive field
+const FILTER_FIELDS    = ['type', 'category', 'province', 'forceType'];
+const ATTRIBUTE_FIELDS = ['type', 'category', 'targetCategory', 'target', 'forceType', 'city', 'province'];
+
+// ===== PARAMETER BUILDERS =====
+const DATE    = { type: 'string', format: 'date', pattern: '^\\d{4}-\\d{2}-\\d{2}$' };
+const STRING  = { type: 'string' };
+const oneOf   = values => ({ type: 'string', enum: values });
+const integer = (minimum, maximum) => ({ type: 'integer', minimum, maximum });
+const number  = (minimum, maximum) => ({ type: 'number', minimum, maximum });
+const list    = (items, size) => ({ type: 'array', items, ...(size ? { minItems: size, maxItems: size } : {}) });
+
+function queryParam(name, schema, description, required = false) {
+  return { name, in: 'query', required, description, schema, ...(schema.type === 'array' ? { style: 'form', explode: false } : {}) };
+}
+
+function pathParam(name, schema, description) {
+  return { name, in: 'path', required: true, description, schema };
+}
+
+// ===== SHARED PARAMETERS =====
+const SPATIAL_PARAMS = [
+  queryParam('bbox', list({ type: 'number' }, 4), 'Only incidents inside minLng,minLat,maxLng,maxLat'),
+  queryParam('near', list({ type: 'number' }, 2), 'Only incidents within `radiusKm` of lat,lng'),
+  queryParam('radiusKm', { type: 'number', exclusiveMinimum: 0, maximum: MAX_RADIUS_KM }, 'Radius for `near`, in km')
+];
+
+const FILTER_PARAMS = FILTER_FIELDS.map(field => queryParam(field, STRING, `Only incidents whose ${field} is this value`));
+
+const SLICE_PARAMS = [
+  queryParam('from', DATE, 'First day, inclusive (default: start of the dataset)'),
+  queryParam('to', DATE, 'Last day, inclusive (default: end of the dataset)'),
+  ...SPATIAL_PARAMS,
+  ...FILTER_PARAMS
+];
+
+const TIMEZONE_PARAM = queryParam('timezone', STRING, 'IANA zone to read hours in, e.g. UTC (default: the theater\'s own)');
+
+const PAGE_PARAMS = [
+  queryParam('offset', integer(0), 'Matches to skip'),
+  queryParam('limit', integer(1, MAX_LIMIT), `Page size (default ${DEFAULT_LIMIT})`)
+];
+
+// ===== THEATER ROUTES =====
+const THEATER_ROUTES = [
+  { method: 'get', path: '/dates', tag: 'Data', summary: 'Every date with incidents' },
+  { method: 'get', path: '/metadata', tag: 'Data', summary: 'Types, categories, provinces and force types' },
+  {
+    method: 'get', path: '/incidents', tag: 'Data', summary: 'Incidents across a date range, paginated',
+    parameters: [
+      queryParam('from', DATE, 'First day, inclusive', true),
+      queryParam('to', DATE, 'Last day, inclusive', true),
+      ...PAGE_PARAMS,
+      ...SPATIAL_PARAMS,
+      ...FILTER_PARAMS
+    ]
+  },
+  {
+    method: 'get', path: '/incidents/:date', tag: 'Data', summary: 'Incidents on one day',
+    parameters: [pathParam('date', DATE, 'Day, YYYY-MM-DD'), ...SPATIAL_PARAMS, ...FILTER_PARAMS]
+  },
+  {
+    method: 'get', path: '/clusters', tag: 'Data', summary: 'Hex-bin clusters for a web-map zoom level',
+    parameters: [queryParam('zoom', integer(0, MAX_ZOOM), 'Web-map zoom level', true), ...SLICE_PARAMS]
+  },
+  {
+    method: 'get', path: '/search', tag: 'Data', summary: 'Search incidents with facet counts',
+    parameters: [
+      queryParam('q', STRING, 'Boolean query, e.g. type:"Enemy Action" AND city:Bag*'),
+      queryParam('facetLimit', integer(1), 'Values per facet (default 20)'),
+      ...SLICE_PARAMS.filter(p => !FILTER_FIELDS.includes(p.name)),
+      ...PAGE_PARAMS,
+      ...ATTRIBUTE_FIELDS.map(field => queryParam(field, STRING, 'Comma-separated values, ORed; !X negates, X* is a prefix, X~ is fuzzy'))
+    ]
+  },
+  {
+    method: 'get', path: '/export', tag: 'Data', summary: 'Download a filtered incident set',
+    produces: Object.values(EXPORT_FORMATS).map(f => f.contentType.split(';')[0]),
+    parameters: [queryParam('format', oneOf(Object.keys(EXPORT_FORMATS)), 'File format (default csv)'), ...SLICE_PARAMS]
+  },
+  {
+    method: 'get', path: '/playback', tag: 'Data', summary: 'Incidents in time order as a stream of frames',
+    produces: ['text/event-stream', 'application/x-ndjson'],
+    parameters: [
+      queryParam('format', oneOf(PLAYBACK_FORMATS), 'Stream format (default sse)'),
+      queryParam('granularity', oneOf(PLAYBACK_GRANULARITIES), 'Frame length (default day)'),
+      queryParam('start', DATE, 'Day to begin playback at, inside from/to'),
+      queryParam('speed', number(0, MAX_PLAYBACK_FPS), 'Frames per second; 0 (default) is unpaced'),
+      queryParam('skipEmpty', { type: 'boolean' }, 'Leave out frames without incidents'),
+      ...SLICE_PARAMS
+    ]
+  },
+  {
+    method: 'get', path: '/aggregate', tag: 'Data', summary: 'Generic group-by over incident fields',
+    parameters: [
+      queryParam('groupBy', list(oneOf(ATTRIBUTE_FIELDS)), 'Fields to group by'),
+      queryParam('interval', oneOf(INTERVALS), 'Time bucket'),
+      queryParam('metric', oneOf(METRICS), 'Count or share of the slice (default count)'),
+      queryParam('format', oneOf(['table', 'series']), 'Rows or ApexCharts series (default table)'),
+      ...SLICE_PARAMS
+    ]
+  },
+  {
+    method: 'get', path: '/dashboard/treemap', tag: 'Dashboard', summary: 'Incident type distribution',
+    parameters: [queryParam('exclude', list(STRING), 'Types left out (default Friendly Fire)'), ...SLICE_PARAMS]
+  },
+  {
+    method: 'get', path: '/dashboard/radar', tag: 'Dashboard', summary: 'Time-of-day patterns per type',
+    parameters: [
+      queryParam('series', list(STRING), 'Types to chart'),
+      queryParam('buckets', list(integer(0, 23)), 'Bucket start hours, e.g. 0,6,12,18; the last bucket wraps past midnight'),
+      TIMEZONE_PARAM,
+      ...SLICE_PARAMS
+    ]
+  },
+  {
+    method: 'get', path: '/dashboard/hour-of-week', tag: 'Dashboard', summary: 'Incidents per weekday and hour of day',
+    parameters: [TIMEZONE_PARAM, ...SLICE_PARAMS]
+  },
+  {
+    method: 'get', path: '/dashboard/network', tag: 'Dashboard', summary: 'Force -> target -> category flows as Sankey nodes and links',
+    parameters: [
+      queryParam('levels', list(oneOf(ATTRIBUTE_FIELDS)), `2-${MAX_LEVELS} fields, left to right (default ${NETWORK_LEVELS.join(',')})`),
+      queryParam('minCount', integer(1), 'Drop links with fewer incidents (default 1)'),
+      queryParam('skipUnknown', { type: 'boolean' }, 'Leave out incidents with N/A at any level'),
+      ...SLICE_PARAMS
+    ]
+  },
+  { method: 'get', path: '/dashboard/heatmap', tag: 'Dashboard', summary: 'Daily incident counts and calendar grid', parameters: SLICE_PARAMS },
+  {
+    method: 'get', path: '/dashboard/trends', tag: 'Dashboard', summary: 'Daily trend lines with anomalous days flagged',
+    parameters: [
+      queryParam('groupBy', oneOf(['none', ...FILTER_FIELDS]), 'One series per value of this field (default type)'),
+      queryParam('method', oneOf(TREND_METHODS), 'Baseline method (default zscore)'),
+      queryParam('window', integer(1, MAX_TREND_WINDOW), 'Rolling-average days (default 7)'),
+      queryParam('baselineDays', integer(7, MAX_BASELINE_DAYS), 'Baseline length in days (default 28)'),
+      queryParam('threshold', { type: 'number', exclusiveMinimum: 0 }, 'z-score to flag (default 3)'),
+      queryParam('minCount', integer(0), 'Ignore days with fewer incidents (default 5)'),
+      ...SLICE_PARAMS
+    ]
+  },
+  { method: 'get', path: '/dashboard/choropleth', tag: 'Dashboard', summary: 'Admin regions with incident counts', parameters: SLICE_PARAMS },
+  {
+    method: 'get', path: '/analysis/hotspots', tag: 'Analysis', summary: 'Hot and cold spots as GeoJSON grid cells',
+    produces: ['application/geo+json'],
+    parameters: [
+      queryParam('method', oneOf(HOTSPOT_METHODS), 'Getis-Ord Gi* or kernel density (default gistar)'),
+      queryParam('cellKm', number(MIN_CELL_KM, MAX_CELL_KM), 'Cell size in km (default 5)'),
+      queryParam('bandwidthKm', { type: 'number', exclusiveMinimum: 0 }, 'Neighbourhood / kernel radius, 1-10x cellKm (default 2x)'),
+      ...SLICE_PARAMS
+    ]
+  },
+  { method: 'get', path: '/boundary', tag: 'Data', summary: 'Country outline GeoJSON' },
+  { method: 'get', path: '/quality', tag: 'Data', summary: 'Data-quality report from the last load' },
+  { method: 'post', path: '/incidents', tag: 'Ingestion', admin: true, summary: 'Add one incident or an array of them' },
+  { method: 'post', path: '/incidents/upload', tag: 'Ingestion', admin: true, summary: 'Bulk upload a CSV body' },
+  {
+    method: 'put', path: '/incidents/:id', tag: 'Ingestion', admin: true, summary: 'Replace one incident with a corrected record',
+    parameters: [pathParam('id', integer(1), 'Incident id')]
+  },
+  {
+    method: 'get', path: '/audit', tag: 'Ingestion', admin: true, summary: 'Audit log, newest first',
+    parameters: [
+      queryParam('limit', integer(1, MAX_AUDIT_LIMIT), 'Entries to return (default 100)'),
+      queryParam('id', integer(1), 'Only this incident\'s history')
+    ]
+  }
+];
+
+// ===== APP ROUTES =====
+const APP_ROUTES = [
+  { method: 'get', path: '/theaters', tag: 'Theaters', summary: 'Configured theaters and their load status' },
+  {
+    method: 'get', path: '/compare', tag: 'Theaters', summary: 'Side-by-side series for several theaters',
+    parameters: [
+      queryParam('theaters', list(STRING), 'Theater ids (default: every loaded theater)'),
+      queryParam('metric', oneOf(COMPARE_METRICS), 'Count or share of each theater\'s total (default count)'),
+      queryParam('interval', oneOf(COMPARE_INTERVALS), 'Period length (default month)'),
+      queryParam('align', oneOf(COMPARE_ALIGNS), 'Calendar periods or periods since each theater\'s start (default calendar)'),
+      queryParam('groupBy', oneOf(COMPARE_GROUPS), 'One series per theater and value'),
+      queryParam('type', STRING, 'Only this (shared) type'),
+      queryParam('category', STRING, 'Only this (shared) category'),
+      queryParam('from', DATE, 'First day (default: earliest theater start)'),
+      queryParam('to', DATE, 'Last day (default: latest theater end)')
+    ]
+  },
+  {
+    method: 'post', path: '/theaters/:theater/reload', tag: 'Theaters', admin: true, summary: 'Reload a theater\'s data files',
+    parameters: [pathParam('theater', STRING, 'Theater id')]
+  },
+  { method: 'get', path: '/openapi.json', tag: 'Meta', summary: 'This document' }
+];
+
+// ===== LISTINGS =====
+
+// ---- Every URL an app route is served under: versioned, then legacy ----
+function apiPaths(path) {
+  return [`/api/${API_VERSION}${path}`, `/api${path}`];
+}
+
+// ---- 'GET /api/dates'-style lines for a set of routes under a prefix ----
+function endpointList(routes, prefix) {
+  return routes.map(route => `${route.method.toUpperCase()} ${prefix}${route.path}`);
+}
+
+// ---- Throw if a router has a route the definitions above don't cover ----
+function assertDocumented(router, routes) {
+  for (const layer of router.stack) {
+    if (!layer.route) continue;
+    for (const method of Object.keys(layer.route.methods)) {
+      if (!routes.some(r => r.method === method && r.path === layer.route.path)) {
+        throw new Error(`${method.toUpperCase()} ${layer.route.path} is missing from api-spec.js`);
+      }
+    }
+  }
+}
+
+// ===== OPENAPI DOCUMENT =====
+
+// '/incidents/:date' -> '/incidents/{date}'
+const toOpenApiPath = path => path.replace(/:(\w+)/g, '{$1}');
+
+function operation(route, extraParameters, errors) {
+  const responses = {
+    200: {
+      description: 'OK',
+      content: Object.fromEntries((route.produces || ['application/json']).map(type => [type, {}]))
+    }
+  };
+  const statuses = [...errors, 401, ...(route.admin ? [403] : []), 429];
+  for (const status of statuses) responses[status] = { $ref: `#/components/responses/${status}` };
+
+  return {
+    summary:    route.summary,
+    tags:       [route.tag],
+    parameters: [...extraParameters, ...(route.parameters || [])],
+    responses,
+    // Keys are optional on read routes unless PUBLIC_ACCESS=none
+    security: route.admin ? [{ apiKey: [] }, { bearerAuth: [] }] : [{}, { apiKey: [] }, { bearerAuth: [] }]
+  };
+}
+
+// ---- OpenAPI 3 document for the versioned API ----
+function buildOpenApiDocument(theaterIds) {
+  const paths = {};
+  const add = (path, method, op) => {
+    paths[path] = paths[path] || {};
+    paths[path][method] = op;
+  };
+
+  for (const route of APP_ROUTES) {
+    add(toOpenApiPath(`/api/${API_VERSION}${route.path}`), route.method, operation(route, [], [400]));
+  }
+
+  const theaterParam = pathParam('theater', oneOf(theaterIds), 'Theater id');
+  for (const route of THEATER_ROUTES) {
+    const path = toOpenApiPath(`/api/${API_VERSION}/theaters/:theater${route.path}`);
+    add(path, route.method, operation(route, [theaterParam], [400, 404, 503]));
+  }
+
+  const errorResponse = description => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title:       'SIGACTS API',
+      version,
+      description: `Incident data and analytics per theater. Every path is also served without the /${API_VERSION} ` +
+        'segment, and theater routes under each theater\'s legacy prefix (e.g. /api/dates for Iraq).'
+    },
+    paths,
+    components: {
+      schemas: {
+        Error: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            error:   { type: 'string' },
+            details: {
+              type: 'array',
+              description: 'Per-parameter problems, on 400s from request validation',
+              items: {
+                type: 'object',
+                properties: { in: { type: 'string' }, name: { type: 'string' }, message: { type: 'string' } }
+              }
+            }
+          }
+        }
+      },
+      responses: {
+        400: errorResponse('Invalid parameters'),
+        401: errorResponse('Missing or unknown API key'),
+        403: errorResponse('API key lacks the admin role'),
+        404: errorResponse('Unknown theater, or data the theater does not have'),
+        429: {
+          ...errorResponse('Rate limit exceeded'),
+          headers: { 'Retry-After': { description: 'Seconds until the limit resets', schema: { type: 'integer' } } }
+        },
+        503: errorResponse('Theater data is still loading')
+      },
+      securitySchemes: {
+        apiKey:     { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'The same API key as a bearer token' }
+      }
+    }
+  };
+}
+
+module.exports = {
+  THEATER_ROUTES,
+  APP_ROUTES,
+  API_VERSION,
+  apiPaths,
+  endpointList,
+  assertDocumented,
+  buildOpenApiDocument,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  MAX_RADIUS_KM,
+  MAX_ZOOM,
+  MAX_TREND_WINDOW,
+  MAX_BASELINE_DAYS,
+  MAX_AUDIT_LIMIT,
+  MIN_CELL_KM,
+  MAX_CELL_KM,
+  MAX_PLAYBACK_FPS
+};
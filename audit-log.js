@@ -0,0 +1,37 @@
+const fs = require('fs');
+
+// Append-only NDJSON record of every change made through the ingestion API.
+// One line per created or corrected incident, written before the change is
+// applied; the log is replayed on top of the CSV at every load, so uploads
+// survive restarts and reloads.
+class AuditLog {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  // ---- Append one entry, stamped with the current time ----
+  append(entry) {
+    const line = JSON.stringify({ at: new Date().toISOString(), ...entry });
+    fs.appendFileSync(this.filePath, line + '\n');
+  }
+
+  // ---- Every entry in write order; [] if nothing has been logged yet ----
+  // A malformed line (e.g. a write cut short by a crash) is skipped with a warning.
+  read() {
+    if (!fs.existsSync(this.filePath)) return [];
+
+    const entries = [];
+    const lines   = fs.readFileSync(this.filePath, 'utf8').split('\n');
+    lines.forEach((line, i) => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        console.warn(`⚠️  Skipping malformed audit log line ${i + 1} in ${this.filePath}: ${error.message}`);
+      }
+    });
+    return entries;
+  }
+}
+
+module.exports = AuditLog;
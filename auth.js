@@ -0,0 +1,121 @@
+// ===== API KEYS, ROLES AND RATE LIMITS =====
+// Clients identify themselves with `X-API-Key: <key>` or
+// `Authorization: Bearer <key>`. Keys live in API_KEYS_FILE (default
+// api-keys.json, see api-keys.example.json) as SHA-256 hashes, so the file
+// holds no usable secrets. Each key has a role:
+//   read   every GET endpoint
+//   admin  also reload, ingestion and the audit log
+// Requests without a key get the `read` role, unless PUBLIC_ACCESS=none.
+// Admin endpoints answer 404 while no admin key is configured.
+//
+// Every client is rate limited per minute: a key by its own `rateLimit` or
+// RATE_LIMIT_PER_MINUTE, anonymous clients per IP address by
+// PUBLIC_RATE_LIMIT_PER_MINUTE. 0 turns limiting off.
+
+const fs          = require('fs');
+const path        = require('path');
+const crypto      = require('crypto');
+const RateLimiter = require('./rate-limiter');
+
+const ROLES             = ['read', 'admin'];
+const DEFAULT_KEYS_FILE = path.join(__dirname, 'api-keys.json');
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+// ---- Parse a key file into a Map of sha256 -> { id, role, rateLimit } ----
+// A missing file means no keys; a malformed one throws so the server
+// doesn't start with a key silently ignored.
+function loadApiKeys(filePath) {
+  const keys = new Map();
+  if (!fs.existsSync(filePath)) return keys;
+
+  const { keys: entries = [] } = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  for (const entry of entries) {
+    const { id, sha256, role, rateLimit } = entry;
+    if (!id || !/^[0-9a-f]{64}$/.test(sha256 || '') || !ROLES.includes(role)) {
+      throw new Error(`Invalid API key entry ${JSON.stringify(id)} in ${filePath}: needs "id", "sha256" (hex) and "role" (${ROLES.join(' or ')})`);
+    }
+    if (rateLimit !== undefined && !(Number.isInteger(rateLimit) && rateLimit >= 0)) {
+      throw new Error(`Invalid "rateLimit" for API key "${id}" in ${filePath}: must be a non-negative integer`);
+    }
+    keys.set(sha256, { id, role, rateLimit });
+  }
+  return keys;
+}
+
+// Limit from the environment, falling back when unset or not a number
+function envLimit(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) || value < 0 ? fallback : value;
+}
+
+class AccessControl {
+  constructor() {
+    const keysFile = process.env.API_KEYS_FILE || DEFAULT_KEYS_FILE;
+
+    this.keys            = loadApiKeys(keysFile);
+    this.hasAdminKeys    = Array.from(this.keys.values()).some(key => key.role === 'admin');
+    this.publicAccess    = process.env.PUBLIC_ACCESS !== 'none';
+    this.keyRateLimit    = envLimit('RATE_LIMIT_PER_MINUTE', 600);
+    this.publicRateLimit = envLimit('PUBLIC_RATE_LIMIT_PER_MINUTE', 300);
+    this.limiter         = new RateLimiter(60000);
+
+    // Used as Express middleware, so bind once here
+    this.authenticate = this.authenticate.bind(this);
+    this.requireAdmin = this.requireAdmin.bind(this);
+
+    if (this.keys.size) {
+      console.log(`🔑 Loaded ${this.keys.size} API keys from ${keysFile}`);
+    }
+  }
+
+  // ---- Identify the client, then count the request against its limit ----
+  // Sets req.auth = { keyId, role }; keyId is null for anonymous clients.
+  authenticate(req, res, next) {
+    const header = req.get('Authorization') || '';
+    const key    = req.get('X-API-Key') || (header.startsWith('Bearer ') ? header.slice(7) : null);
+
+    let limit;
+    if (key) {
+      const entry = this.keys.get(hashKey(key));
+      if (!entry) return res.status(401).json({ error: 'Invalid API key' });
+      req.auth = { keyId: entry.id, role: entry.role };
+      limit    = entry.rateLimit !== undefined ? entry.rateLimit : this.keyRateLimit;
+    } else if (this.publicAccess) {
+      req.auth = { keyId: null, role: 'read' };
+      limit    = this.publicRateLimit;
+    } else {
+      return res.status(401).json({ error: 'API key required' });
+    }
+
+    if (!limit) return next();
+
+    const rate = this.limiter.hit(req.auth.keyId ? `key:${req.auth.keyId}` : `ip:${req.ip}`, limit);
+    res.set({
+      'RateLimit-Limit':     String(rate.limit),
+      'RateLimit-Remaining': String(rate.remaining),
+      'RateLimit-Reset':     String(rate.resetSeconds)
+    });
+    if (!rate.allowed) {
+      res.set('Retry-After', String(rate.resetSeconds));
+      return res.status(429).json({ error: `Rate limit of ${rate.limit} requests per minute exceeded, retry in ${rate.resetSeconds}s` });
+    }
+    next();
+  }
+
+  // ---- Admin-only routes; must run after authenticate ----
+  requireAdmin(req, res, next) {
+    if (!this.hasAdminKeys) {
+      return res.status(404).json({ error: 'Endpoint not found' });
+    }
+    if (!req.auth || !req.auth.keyId) {
+      return res.status(401).json({ error: 'Admin API key required' });
+    }
+    if (req.auth.role !== 'admin') {
+      return res.status(403).json({ error: `API key "${req.auth.keyId}" is read-only` });
+    }
+    next();
+  }
+}
+
+module.exports = new AccessControl();
@@ -0,0 +1,71 @@
+// Hexagonal binning of incidents for zoomed-out map views.
+// Hexes are laid out in plain lng/lat space (pointy-top, axial coordinates),
+// which is close enough to square at the latitudes we cover.
+
+const SQRT3          = Math.sqrt(3);
+const BINS_PER_TILE  = 8; // Roughly 32px hexes on a 256px web-map tile
+
+// ---- Hex radius in degrees for a web-map zoom level ----
+function clusterCellSize(zoom) {
+  return 360 / Math.pow(2, zoom) / BINS_PER_TILE;
+}
+
+// ---- Round fractional axial coordinates to the containing hex ----
+function hexRound(q, r) {
+  const s  = -q - r;
+  let   rq = Math.round(q);
+  let   rr = Math.round(r);
+  const rs = Math.round(s);
+
+  const dq = Math.abs(rq - q);
+  const dr = Math.abs(rr - r);
+  const ds = Math.abs(rs - s);
+
+  if (dq > dr && dq > ds) rq = -rr - rs;
+  else if (dr > ds)       rr = -rq - rs;
+
+  return [rq, rr];
+}
+
+// ---- Group incidents into hex bins of the given radius ----
+// Each bin reports its hex centre, the mean position of its incidents
+// and a count per incident type.
+function hexbin(incidents, size) {
+  const bins = new Map();
+
+  for (const incident of incidents) {
+    if (!isFinite(incident.lat) || !isFinite(incident.lng)) continue;
+
+    const [q, r] = hexRound(
+      (SQRT3 / 3 * incident.lng - incident.lat / 3) / size,
+      (2 / 3 * incident.lat) / size
+    );
+    const id = `${q}:${r}`;
+
+    let bin = bins.get(id);
+    if (!bin) {
+      bin = {
+        id,
+        lat:    size * 1.5 * r,
+        lng:    size * SQRT3 * (q + r / 2),
+        count:  0,
+        sumLat: 0,
+        sumLng: 0,
+        byType: {}
+      };
+      bins.set(id, bin);
+    }
+
+    bin.count++;
+    bin.sumLat += incident.lat;
+    bin.sumLng += incident.lng;
+    bin.byType[incident.type] = (bin.byType[incident.type] || 0) + 1;
+  }
+
+  return Array.from(bins.values()).map(({ sumLat, sumLng, ...bin }) => ({
+    ...bin,
+    centroid: { lat: sumLat / bin.count, lng: sumLng / bin.count }
+  }));
+}
+
+module.exports = { hexbin, clusterCellSize };
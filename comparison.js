@@ -0,0 +1,157 @@
+// Side-by-side series for several theaters, with their type / category
+// vocabularies reconciled so the same kind of incident lines up.
+//
+// Values are matched ignoring case, spacing and punctuation ('IED Found /
+// Cleared' = 'IED found/cleared'); a theater's `vocabulary` config maps
+// values that differ in substance. The label shown is the spelling used by
+// the first theater (in config order) that has the value.
+
+const { periodKey } = require('./aggregation');
+
+const COMPARE_INTERVALS = ['day', 'week', 'month'];
+const COMPARE_ALIGNS    = ['calendar', 'relative'];
+const COMPARE_METRICS   = ['count', 'share'];
+const COMPARE_GROUPS    = ['type', 'category'];
+
+// ---- Matching key for a vocabulary value ----
+function vocabularyKey(value) {
+  return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+// ---- Shared vocabulary for one field across theaters ----
+// Returns { canonical(theaterId, raw), mapping } where `mapping` lists, per
+// canonical label, the raw values each theater contributes to it.
+function buildVocabulary(theaters, field) {
+  const labels  = new Map(); // key -> canonical label
+  const mapping = {};
+
+  const resolve = (theater, raw) => {
+    const configured = ((theater.config.vocabulary || {})[field] || {})[raw];
+    return configured !== undefined ? configured : raw;
+  };
+
+  for (const theater of theaters) {
+    const list = theater.processor.getMetadata()[field === 'type' ? 'types' : 'categories'] || [];
+    for (const raw of list) {
+      const value = resolve(theater, raw);
+      const key   = vocabularyKey(value);
+      if (!labels.has(key)) labels.set(key, value);
+
+      const label = labels.get(key);
+      if (!mapping[label]) mapping[label] = {};
+      if (!mapping[label][theater.id]) mapping[label][theater.id] = [];
+      mapping[label][theater.id].push(raw);
+    }
+  }
+
+  return {
+    mapping,
+    canonical: (theaterId, raw) => {
+      const theater = theaters.find(t => t.id === theaterId);
+      return labels.get(vocabularyKey(resolve(theater, raw))) || raw;
+    }
+  };
+}
+
+// ---- Whole months / weeks / days between a theater's start date and `date` ----
+function relativePeriod(start, date, interval) {
+  if (interval === 'month') {
+    return (Number(date.slice(0, 4)) - Number(start.slice(0, 4))) * 12 +
+      Number(date.slice(5, 7)) - Number(start.slice(5, 7));
+  }
+  const days = Math.round((Date.parse(`${date}T00:00:00Z`) - Date.parse(`${start}T00:00:00Z`)) / 86400000);
+  return interval === 'week' ? Math.floor(days / 7) : days;
+}
+
+// ---- Compare theaters over a date range ----
+// theaters: registry entries ({ id, config, processor }) in display order
+// options:  { from, to, metric, interval, align, groupBy, type, category }
+//   type / category filter on the canonical (shared) value.
+function compareTheaters(theaters, { from, to, metric = 'count', interval = 'month', align = 'calendar', groupBy = null, type, category }) {
+  const vocabularies = {};
+  for (const field of COMPARE_GROUPS) vocabularies[field] = buildVocabulary(theaters, field);
+
+  const periods = new Set();
+  const series  = [];
+  const summary = [];
+
+  for (const theater of theaters) {
+    const { rows } = theater.processor.getAggregateData(from, to, {}, { groupBy: COMPARE_GROUPS, interval: 'day' });
+
+    // Daily rows -> canonical values, filtered on the shared vocabulary
+    const days = [];
+    for (const row of rows) {
+      const values = {
+        type:     vocabularies.type.canonical(theater.id, row.type),
+        category: vocabularies.category.canonical(theater.id, row.category)
+      };
+      if (type && vocabularyKey(values.type) !== vocabularyKey(type)) continue;
+      if (category && vocabularyKey(values.category) !== vocabularyKey(category)) continue;
+      days.push({ date: row.period, group: groupBy ? values[groupBy] : null, count: row.count });
+    }
+
+    const start = days.reduce((min, d) => (d.date < min ? d.date : min), to);
+    const total = days.reduce((sum, d) => sum + d.count, 0);
+    summary.push({ id: theater.id, name: theater.config.name, start: total ? start : null, total });
+
+    // Bucket into periods, one series per group
+    const byGroup = new Map();
+    for (const { date, group, count } of days) {
+      const period = align === 'relative' ? relativePeriod(start, date, interval) : periodKey(date, interval);
+      periods.add(period);
+      if (!byGroup.has(group)) byGroup.set(group, new Map());
+      const counts = byGroup.get(group);
+      counts.set(period, (counts.get(period) || 0) + count);
+    }
+
+    const groups = Array.from(byGroup.keys()).sort((a, b) => String(a).localeCompare(String(b)));
+    for (const group of groups) {
+      series.push({
+        theater: theater.id,
+        name:    group === null ? theater.config.name : `${theater.config.name} / ${group}`,
+        group,
+        counts:  byGroup.get(group),
+        total
+      });
+    }
+  }
+
+  // Relative periods are contiguous offsets from 0; calendar periods are
+  // every period any theater has data in
+  const categories = align === 'relative'
+    ? Array.from({ length: periods.size ? Math.max(...periods) + 1 : 0 }, (_, i) => i)
+    : Array.from(periods).sort();
+
+  return {
+    from,
+    to,
+    metric,
+    interval,
+    align,
+    groupBy,
+    theaters:   summary,
+    categories,
+    series: series.map(({ theater, name, group, counts, total }) => ({
+      theater,
+      name,
+      group,
+      data: categories.map((period) => {
+        const count = counts.get(period) || 0;
+        return metric === 'share' ? (total ? count / total : 0) : count;
+      })
+    })),
+    vocabulary: {
+      type:     vocabularies.type.mapping,
+      category: vocabularies.category.mapping
+    }
+  };
+}
+
+module.exports = {
+  compareTheaters,
+  vocabularyKey,
+  COMPARE_INTERVALS,
+  COMPARE_ALIGNS,
+  COMPARE_METRICS,
+  COMPARE_GROUPS
+};
@@ -0,0 +1,30 @@
+// YYYY-MM-DD calendar dates, handled as UTC midnights so day arithmetic
+// never crosses a DST change.
+
+const DAY_MS = 86400000;
+
+// ---- True for a real calendar day in YYYY-MM-DD form ----
+function isValidDate(date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return false;
+  const d = new Date(`${date}T00:00:00Z`);
+  return !isNaN(d) && d.toISOString().slice(0, 10) === date;
+}
+
+// ---- YYYY-MM-DD shifted by `days` ----
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// ---- Whole days from `from` to `to` (negative when `to` is earlier) ----
+function daysBetween(from, to) {
+  return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+// ---- Every calendar day from `from` to `to`, inclusive ----
+function dayRange(from, to) {
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) days.push(date);
+  return days;
+}
+
+module.exports = { isValidDate, addDays, daysBetween, dayRange };
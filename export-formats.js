@@ -0,0 +1,85 @@
+// Streaming serializers for incident exports.
+// Each format is a generator yielding string chunks, so a route can pipe it
+// through Readable.from() and never hold the whole payload in memory.
+
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension:   'csv',
+    serialize:   csvChunks
+  },
+  geojson: {
+    contentType: 'application/geo+json; charset=utf-8',
+    extension:   'geojson',
+    serialize:   geojsonChunks
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension:   'ndjson',
+    serialize:   ndjsonChunks
+  }
+};
+
+// Rows per yielded chunk -- keeps the number of stream writes down
+const ROWS_PER_CHUNK = 500;
+
+// Quote a CSV value only when it needs it
+function csvValue(value) {
+  if (value === undefined || value === null || (typeof value === 'number' && isNaN(value))) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function* csvChunks(incidents, fields) {
+  yield fields.join(',') + '\n';
+
+  let chunk = '';
+  for (let i = 0; i < incidents.length; i++) {
+    chunk += fields.map(f => csvValue(incidents[i][f])).join(',') + '\n';
+    if ((i + 1) % ROWS_PER_CHUNK === 0) {
+      yield chunk;
+      chunk = '';
+    }
+  }
+  if (chunk) yield chunk;
+}
+
+function* geojsonChunks(incidents, fields) {
+  yield '{"type":"FeatureCollection","features":[\n';
+
+  let chunk = '';
+  for (let i = 0; i < incidents.length; i++) {
+    const incident   = incidents[i];
+    const properties = {};
+    for (const field of fields) {
+      if (field !== 'lat' && field !== 'lng') properties[field] = incident[field];
+    }
+    // Rows without valid coordinates are kept with a null geometry
+    const geometry = isFinite(incident.lat) && isFinite(incident.lng)
+      ? { type: 'Point', coordinates: [incident.lng, incident.lat] }
+      : null;
+
+    chunk += (i ? ',\n' : '') + JSON.stringify({ type: 'Feature', geometry, properties });
+    if ((i + 1) % ROWS_PER_CHUNK === 0) {
+      yield chunk;
+      chunk = '';
+    }
+  }
+  yield chunk + '\n]}\n';
+}
+
+function* ndjsonChunks(incidents, fields) {
+  let chunk = '';
+  for (let i = 0; i < incidents.length; i++) {
+    const row = {};
+    for (const field of fields) row[field] = incidents[i][field];
+    chunk += JSON.stringify(row) + '\n';
+    if ((i + 1) % ROWS_PER_CHUNK === 0) {
+      yield chunk;
+      chunk = '';
+    }
+  }
+  if (chunk) yield chunk;
+}
+
+module.exports = { EXPORT_FORMATS };
@@ -0,0 +1,228 @@
+// Hot-spot analysis over a square grid laid across a study area.
+//
+// Methods:
+//   gistar  Getis-Ord Gi* on per-cell incident counts. Every cell whose
+//           centre is within `bandwidthKm` of a cell (itself included) is a
+//           neighbour with weight 1. Positive z-scores are hot spots, negative
+//           ones cold spots.
+//   kde     Quartic kernel density with radius `bandwidthKm`, evaluated at
+//           each cell centre, in incidents per km². The z-score standardizes
+//           density against every cell in the grid.
+//
+// Cells are `cellKm` on a side at the grid's middle latitude, which keeps
+// them square enough for the neighbour distances over a country-sized area.
+
+const HOTSPOT_METHODS = ['gistar', 'kde'];
+const KM_PER_DEG_LAT  = 111.32;
+const MAX_GRID_CELLS  = 250000;
+
+// Thrown when the requested grid is too fine for the study area
+class HotspotError extends Error {}
+
+// Two-tailed z thresholds for 99 / 95 / 90 % confidence, as reported by
+// ArcGIS's Gi_Bin (+-3, +-2, +-1)
+const CONFIDENCE_LEVELS = [
+  { level: 99, z: 2.576 },
+  { level: 95, z: 1.960 },
+  { level: 90, z: 1.645 }
+];
+
+const round = (value, places) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+// ---- Standard normal CDF (Abramowitz & Stegun 7.1.26, error < 1.5e-7) ----
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2;
+  const t = 1 / (1 + 0.3275911 * x);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 +
+    t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// ---- Grid geometry for a [minLng, minLat, maxLng, maxLat] study area ----
+function createGrid(bbox, cellKm) {
+  const [minLng, minLat, maxLng, maxLat] = bbox;
+  const midLat = (minLat + maxLat) / 2;
+  const dLat   = cellKm / KM_PER_DEG_LAT;
+  const dLng   = cellKm / (KM_PER_DEG_LAT * Math.max(Math.cos(midLat * Math.PI / 180), 0.01));
+
+  return {
+    minLng,
+    minLat,
+    dLat,
+    dLng,
+    // +1 so points on the max edge still land in a cell
+    columns: Math.floor((maxLng - minLng) / dLng) + 1,
+    rows:    Math.floor((maxLat - minLat) / dLat) + 1
+  };
+}
+
+// ---- Cell index for a point, or -1 outside the grid ----
+function cellIndex(grid, lat, lng) {
+  const col = Math.floor((lng - grid.minLng) / grid.dLng);
+  const row = Math.floor((lat - grid.minLat) / grid.dLat);
+  if (col < 0 || row < 0 || col >= grid.columns || row >= grid.rows) return -1;
+  return row * grid.columns + col;
+}
+
+// ---- [dCol, dRow, distanceKm] for every cell offset within `bandwidthKm` ----
+function neighbourOffsets(cellKm, bandwidthKm) {
+  const reach   = Math.floor(bandwidthKm / cellKm);
+  const offsets = [];
+  for (let dRow = -reach; dRow <= reach; dRow++) {
+    for (let dCol = -reach; dCol <= reach; dCol++) {
+      const distanceKm = Math.hypot(dCol, dRow) * cellKm;
+      if (distanceKm <= bandwidthKm) offsets.push([dCol, dRow, distanceKm]);
+    }
+  }
+  return offsets;
+}
+
+// ---- Getis-Ord Gi* z-score for every cell ----
+function getisOrd(grid, counts, offsets) {
+  const n = counts.length;
+  let sum = 0;
+  let sumSq = 0;
+  for (const count of counts) {
+    sum   += count;
+    sumSq += count * count;
+  }
+  const mean = sum / n;
+  const s    = Math.sqrt(Math.max(sumSq / n - mean * mean, 0));
+
+  const zScores = new Float64Array(n);
+  if (!s || n < 2) return zScores; // No variation, nothing stands out
+
+  for (let row = 0; row < grid.rows; row++) {
+    for (let col = 0; col < grid.columns; col++) {
+      // Binary weights, so sum(w) = sum(w²) = neighbours inside the grid
+      let local = 0;
+      let w     = 0;
+      for (const [dCol, dRow] of offsets) {
+        const c = col + dCol;
+        const r = row + dRow;
+        if (c < 0 || r < 0 || c >= grid.columns || r >= grid.rows) continue;
+        local += counts[r * grid.columns + c];
+        w++;
+      }
+      const denominator = s * Math.sqrt((n * w - w * w) / (n - 1));
+      zScores[row * grid.columns + col] = denominator ? (local - mean * w) / denominator : 0;
+    }
+  }
+  return zScores;
+}
+
+// ---- Quartic kernel density (incidents per km²) at every cell centre ----
+function kernelDensity(grid, points, offsets, bandwidthKm) {
+  const density = new Float64Array(grid.columns * grid.rows);
+  const scale   = 3 / (Math.PI * bandwidthKm * bandwidthKm);
+
+  // Points are snapped to their cell centre, which keeps the kernel a fixed
+  // stencil; the error is at most half a cell
+  for (const index of points) {
+    const col = index % grid.columns;
+    const row = Math.floor(index / grid.columns);
+    for (const [dCol, dRow, distanceKm] of offsets) {
+      const c = col + dCol;
+      const r = row + dRow;
+      if (c < 0 || r < 0 || c >= grid.columns || r >= grid.rows) continue;
+      const u = distanceKm / bandwidthKm;
+      density[r * grid.columns + c] += scale * (1 - u * u) ** 2;
+    }
+  }
+  return density;
+}
+
+// ---- Hot spots for a set of incidents ----
+// bbox is the study area; incidents outside it (or without coordinates)
+// are counted in `outside`. Returns a GeoJSON FeatureCollection of the
+// cells that hold incidents or are statistically significant.
+function hotspotAnalysis(incidents, bbox, { method = 'gistar', cellKm, bandwidthKm }) {
+  const grid = createGrid(bbox, cellKm);
+  if (grid.columns * grid.rows > MAX_GRID_CELLS) {
+    throw new HotspotError(`A ${cellKm} km grid over this area needs ${grid.columns * grid.rows} cells (max ${MAX_GRID_CELLS}); use a larger "cellKm" or a smaller "bbox"`);
+  }
+  const counts  = new Float64Array(grid.columns * grid.rows);
+  const offsets = neighbourOffsets(cellKm, bandwidthKm);
+  const points  = [];
+
+  let outside = 0;
+  for (const incident of incidents) {
+    const index = isFinite(incident.lat) && isFinite(incident.lng)
+      ? cellIndex(grid, incident.lat, incident.lng)
+      : -1;
+    if (index === -1) {
+      outside++;
+      continue;
+    }
+    counts[index]++;
+    points.push(index);
+  }
+
+  let zScores;
+  let density = null;
+  if (method === 'kde') {
+    density = kernelDensity(grid, points, offsets, bandwidthKm);
+    const mean = density.reduce((sum, d) => sum + d, 0) / density.length;
+    const std  = Math.sqrt(density.reduce((sum, d) => sum + (d - mean) ** 2, 0) / density.length);
+    zScores = density.map(d => (std ? (d - mean) / std : 0));
+  } else {
+    zScores = getisOrd(grid, counts, offsets);
+  }
+
+  const features = [];
+  const summary  = { hot: 0, cold: 0 };
+  for (let index = 0; index < counts.length; index++) {
+    const zScore = zScores[index];
+    const match  = CONFIDENCE_LEVELS.find(c => Math.abs(zScore) >= c.z);
+    const spot   = match ? (zScore > 0 ? 'hot' : 'cold') : null;
+    if (spot) summary[spot]++;
+
+    // KDE surfaces are smooth, so keep every cell the kernel reaches
+    const keep = method === 'kde' ? density[index] > 0 : counts[index] > 0 || spot;
+    if (!keep) continue;
+
+    const col   = index % grid.columns;
+    const row   = Math.floor(index / grid.columns);
+    const west  = grid.minLng + col * grid.dLng;
+    const south = grid.minLat + row * grid.dLat;
+    const east  = west + grid.dLng;
+    const north = south + grid.dLat;
+
+    const properties = { id: `${col}:${row}`, count: counts[index] };
+    if (density) properties.density = round(density[index], 6);
+    properties.zScore     = round(zScore, 3);
+    properties.pValue     = round(2 * (1 - normalCdf(Math.abs(zScore))), 4);
+    properties.confidence = match ? match.level : 0;
+    properties.spot       = spot;
+
+    features.push({
+      type: 'Feature',
+      geometry: {
+        type: 'Polygon',
+        coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]]
+      },
+      properties
+    });
+  }
+
+  return {
+    type: 'FeatureCollection',
+    method,
+    cellKm,
+    bandwidthKm,
+    grid: {
+      bbox:    [grid.minLng, grid.minLat, grid.minLng + grid.columns * grid.dLng, grid.minLat + grid.rows * grid.dLat],
+      columns: grid.columns,
+      rows:    grid.rows
+    },
+    total: points.length,
+    outside,
+    summary,
+    features
+  };
+}
+
+module.exports = { hotspotAnalysis, HotspotError, HOTSPOT_METHODS };
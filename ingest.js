@@ -0,0 +1,32 @@
+// Helpers for the ingestion API: turning uploaded records into CSV-shaped
+// rows for TheaterProcessor.normalizeRow(), and the error raised when an
+// upload fails validation.
+
+// Raised with one { record, errors } entry per rejected record. Nothing from
+// an upload is stored unless every record passes.
+class IngestError extends Error {
+  constructor(message, records = []) {
+    super(message);
+    this.records = records;
+  }
+}
+
+// ---- Uploaded record -> row keyed by the theater's CSV column names ----
+// Records may use the CSV column names ('Incident Type') or the incident
+// field names ('type'); anything else is reported back as unknown.
+function recordToRow(record, columns) {
+  const known = new Set();
+  const row   = {};
+
+  for (const [field, column] of Object.entries(columns)) {
+    const value = record[column] !== undefined ? record[column] : record[field];
+    row[column] = value === undefined || value === null ? '' : String(value);
+    known.add(field);
+    known.add(column);
+  }
+
+  const unknown = Object.keys(record).filter(key => !known.has(key));
+  return { row, unknown };
+}
+
+module.exports = { IngestError, recordToRow };
@@ -0,0 +1,89 @@
+// Small least-recently-used cache on top of Map's insertion order.
+// Reading an entry moves it to the back; inserting past `maxEntries`, or
+// past `maxSize` in total of the sizes given to set(), evicts from the
+// front. A value larger than `maxSize` on its own is not stored.
+// `hits` and `misses` count get() calls since the cache was created.
+
+// Elements sized per array by estimateSize()
+const SAMPLE_SIZE = 8;
+
+class LruCache {
+  constructor(maxEntries, maxSize = Infinity) {
+    this.maxEntries = maxEntries;
+    this.maxSize    = maxSize;
+    this.entries    = new Map(); // key -> { value, size }
+    this.totalSize  = 0;
+    this.hits       = 0;
+    this.misses     = 0;
+  }
+
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      this.misses++;
+      return undefined;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.hits++;
+    return entry.value;
+  }
+
+  set(key, value, size = 0) {
+    this.delete(key);
+    if (size > this.maxSize) return;
+
+    this.entries.set(key, { value, size });
+    this.totalSize += size;
+    while (this.entries.size > this.maxEntries || this.totalSize > this.maxSize) {
+      this.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+    this.entries.delete(key);
+    this.totalSize -= entry.size;
+  }
+
+  clear() {
+    this.entries.clear();
+    this.totalSize = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  // ---- Rough length of a value as JSON, for set()'s `size` ----
+  // Long arrays are sized from an even sample of their elements, so a large
+  // result costs a few thousand steps rather than a full stringify.
+  static estimateSize(value) {
+    if (value === null || value === undefined) return 4;
+    switch (typeof value) {
+      case 'string':  return value.length + 2;
+      case 'number':  return String(value).length;
+      case 'boolean': return 5;
+      case 'object':  break;
+      default:        return 0;
+    }
+
+    if (!Array.isArray(value)) {
+      let size = 2;
+      for (const key of Object.keys(value)) size += key.length + 4 + LruCache.estimateSize(value[key]);
+      return size;
+    }
+
+    if (!value.length) return 2;
+    const step = Math.max(1, value.length / SAMPLE_SIZE);
+    let sampled = 0;
+    let count   = 0;
+    for (let i = 0; i < value.length; i += step, count++) {
+      sampled += LruCache.estimateSize(value[Math.floor(i)]) + 1;
+    }
+    return Math.round(sampled / count * value.length) + 1;
+  }
+}
+
+module.exports = LruCache;
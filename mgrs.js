@@ -0,0 +1,127 @@
+// MGRS grid reference -> WGS84 lat/lng.
+// Handles UTM zones only (no polar UPS), which covers every theater we serve.
+// Based on the standard MGRS -> UTM -> geographic conversion (NGA / proj4 mgrs).
+
+const SET_ORIGIN_COLUMN_LETTERS = 'AJSAJS';
+const SET_ORIGIN_ROW_LETTERS    = 'AFAFAF';
+
+// Minimum northing of each latitude band, used to pick the right 2,000 km cycle
+const BAND_MIN_NORTHING = {
+  C: 1100000, D: 2000000, E: 2800000, F: 3700000, G: 4600000, H: 5500000,
+  J: 6400000, K: 7300000, L: 8200000, M: 9100000, N: 0,       P: 800000,
+  Q: 1700000, R: 2600000, S: 3500000, T: 4400000, U: 5300000, V: 6200000,
+  W: 7000000, X: 7900000
+};
+
+const MGRS_RE = /^(\d{1,2})([C-HJ-NP-X])([A-HJ-NP-Z])([A-HJ-NP-V])(\d*)$/;
+
+// WGS84
+const A          = 6378137;
+const ECC_SQ     = 0.00669438;
+const K0         = 0.9996;
+
+// ---- Step through 100 km letters from the set origin, skipping I and O ----
+function letterOffset(letter, origin, lastLetter) {
+  let current = origin.charCodeAt(0);
+  let offset  = 0;
+  let wrapped = false;
+
+  while (current !== letter.charCodeAt(0)) {
+    current++;
+    if (current === 73) current++; // I
+    if (current === 79) current++; // O
+    if (current > lastLetter.charCodeAt(0)) {
+      if (wrapped) return null;
+      current = 65; // A
+      wrapped = true;
+    }
+    offset += 100000;
+  }
+  return offset;
+}
+
+// ---- Parse an MGRS string into UTM easting/northing ----
+// Returns null when the string is not a valid MGRS reference.
+function mgrsToUtm(str) {
+  const match = MGRS_RE.exec(String(str || '').replace(/\s+/g, '').toUpperCase());
+  if (!match) return null;
+
+  const [, zoneStr, band, colLetter, rowLetter, digits] = match;
+  const zone = parseInt(zoneStr, 10);
+  if (zone < 1 || zone > 60 || digits.length % 2 !== 0 || digits.length > 10) return null;
+
+  const set        = zone % 6 || 6;
+  const east100k   = letterOffset(colLetter, SET_ORIGIN_COLUMN_LETTERS[set - 1], 'Z');
+  let   north100k  = letterOffset(rowLetter, SET_ORIGIN_ROW_LETTERS[set - 1], 'V');
+  if (east100k === null || north100k === null) return null;
+
+  while (north100k < BAND_MIN_NORTHING[band]) north100k += 2000000;
+
+  // Digits split evenly between easting and northing
+  const precision = digits.length / 2;
+  const unit      = precision ? 100000 / Math.pow(10, precision) : 100000;
+  const easting   = 100000 + east100k + (precision ? parseInt(digits.slice(0, precision), 10) * unit : 0);
+  const northing  = north100k + (precision ? parseInt(digits.slice(precision), 10) * unit : 0);
+
+  return { zone, band, easting, northing, precision, precisionMeters: unit };
+}
+
+// ---- UTM -> lat/lng (degrees) ----
+function utmToLatLng(zone, band, easting, northing) {
+  const e1     = (1 - Math.sqrt(1 - ECC_SQ)) / (1 + Math.sqrt(1 - ECC_SQ));
+  const eccPSq = ECC_SQ / (1 - ECC_SQ);
+
+  const x = easting - 500000;
+  const y = band < 'N' ? northing - 10000000 : northing;
+  const longOrigin = (zone - 1) * 6 - 180 + 3;
+
+  const M  = y / K0;
+  const mu = M / (A * (1 - ECC_SQ / 4 - 3 * ECC_SQ ** 2 / 64 - 5 * ECC_SQ ** 3 / 256));
+
+  const phi1 = mu +
+    (3 * e1 / 2 - 27 * e1 ** 3 / 32) * Math.sin(2 * mu) +
+    (21 * e1 ** 2 / 16 - 55 * e1 ** 4 / 32) * Math.sin(4 * mu) +
+    (151 * e1 ** 3 / 96) * Math.sin(6 * mu);
+
+  const sinPhi = Math.sin(phi1);
+  const cosPhi = Math.cos(phi1);
+  const tanPhi = Math.tan(phi1);
+
+  const N1 = A / Math.sqrt(1 - ECC_SQ * sinPhi ** 2);
+  const T1 = tanPhi ** 2;
+  const C1 = eccPSq * cosPhi ** 2;
+  const R1 = A * (1 - ECC_SQ) / Math.pow(1 - ECC_SQ * sinPhi ** 2, 1.5);
+  const D  = x / (N1 * K0);
+
+  const lat = phi1 - (N1 * tanPhi / R1) * (
+    D ** 2 / 2 -
+    (5 + 3 * T1 + 10 * C1 - 4 * C1 ** 2 - 9 * eccPSq) * D ** 4 / 24 +
+    (61 + 90 * T1 + 298 * C1 + 45 * T1 ** 2 - 252 * eccPSq - 3 * C1 ** 2) * D ** 6 / 720
+  );
+  const lng = (
+    D -
+    (1 + 2 * T1 + C1) * D ** 3 / 6 +
+    (5 - 2 * C1 + 28 * T1 - 3 * C1 ** 2 + 8 * eccPSq + 24 * T1 ** 2) * D ** 5 / 120
+  ) / cosPhi;
+
+  return {
+    lat: lat * 180 / Math.PI,
+    lng: longOrigin + lng * 180 / Math.PI
+  };
+}
+
+// ---- MGRS -> { lat, lng, precision, precisionMeters } or null ----
+// The point returned is the centre of the grid square, so a coarse
+// reference lands in the middle of the area it describes.
+function parseMgrs(str) {
+  const utm = mgrsToUtm(str);
+  if (!utm) return null;
+
+  const half = utm.precisionMeters / 2;
+  const { lat, lng } = utmToLatLng(utm.zone, utm.band, utm.easting + half, utm.northing + half);
+  if (!isFinite(lat) || !isFinite(lng)) return null;
+
+  return { lat, lng, precision: utm.precision, precisionMeters: utm.precisionMeters };
+}
+
+module.exports = { parseMgrs, mgrsToUtm, utmToLatLng };
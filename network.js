@@ -0,0 +1,64 @@
+// Flow graph between incident fields for Sankey and force-graph charts:
+// by default reporting force -> target category -> incident category.
+// Each level's values become nodes and every pair of adjacent levels
+// becomes weighted links, so a Sankey reads left to right in level order.
+//
+// Node ids are `field:value` -- the same value can appear on two levels
+// ('Other' is both a target category and an incident category) and a Sankey
+// must not join them into a cycle.
+
+const NETWORK_LEVELS = ['forceType', 'targetCategory', 'category'];
+const MAX_LEVELS     = 4;
+
+// Value normalizeRow() gives blank and 'NULL' attributes
+const UNKNOWN_VALUE = 'N/A';
+
+const nodeId      = (field, value) => `${field}:${value}`;
+const compareText = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// ---- Nodes and links from [{ values, count }] paths through `levels` ----
+// Links below `minCount` are dropped, and with them nodes left without a
+// link. Node `count` is the number of incidents with that value either way.
+// Nodes come out by level, then by descending count; links by source, then
+// by descending value. Ties go by name, so the order doesn't depend on the
+// order paths were counted in.
+function buildNetwork(paths, levels, { minCount = 1 } = {}) {
+  const nodes = new Map();
+  const links = new Map();
+  let total = 0;
+
+  for (const { values, count } of paths) {
+    total += count;
+    values.forEach((value, depth) => {
+      const id   = nodeId(levels[depth], value);
+      const node = nodes.get(id);
+      if (node) node.count += count;
+      else      nodes.set(id, { id, name: value, level: levels[depth], depth, count });
+
+      if (depth === 0) return;
+      const source = nodeId(levels[depth - 1], values[depth - 1]);
+      const key    = `${source}\u0000${id}`;
+      const link   = links.get(key);
+      if (link) link.value += count;
+      else      links.set(key, { source, target: id, value: count });
+    });
+  }
+
+  const kept    = Array.from(links.values()).filter(link => link.value >= minCount);
+  const linked  = new Set(kept.flatMap(link => [link.source, link.target]));
+  const ordered = Array.from(nodes.values())
+    .filter(node => linked.has(node.id))
+    .sort((a, b) => a.depth - b.depth || b.count - a.count || compareText(a.name, b.name));
+
+  const position = new Map(ordered.map((node, index) => [node.id, index]));
+  kept.sort((a, b) => position.get(a.source) - position.get(b.source) || b.value - a.value ||
+    position.get(a.target) - position.get(b.target));
+
+  return {
+    total,
+    nodes: ordered.map(({ depth, ...node }) => node),
+    links: kept
+  };
+}
+
+module.exports = { buildNetwork, NETWORK_LEVELS, MAX_LEVELS, UNKNOWN_VALUE };
@@ -0,0 +1,112 @@
+// Load-time data-quality bookkeeping.
+// Every rejected, repaired or flagged row is counted by issue type, with a
+// few example rows kept per issue so the numbers can be checked by hand.
+
+// severity:
+//   rejected  row dropped
+//   repaired  row kept, a value was changed
+//   flagged   row kept unchanged, but marked as suspect
+const ISSUE_TYPES = {
+  headerRows:      { severity: 'rejected', description: 'Repeated CSV header row' },
+  missingType:     { severity: 'rejected', description: 'Blank or Unknown incident type' },
+  invalidCoords:   { severity: 'rejected', description: 'Coordinates missing or unparseable, with no usable MGRS fallback' },
+  invalidDate:     { severity: 'rejected', description: 'Date is not a valid M/D/YYYY calendar date' },
+  blankValue:      { severity: 'repaired', description: 'Blank value replaced with the field default' },
+  nullValue:       { severity: 'repaired', description: "Literal 'NULL' replaced with the field default" },
+  invalidTime:     { severity: 'repaired', description: 'Unparseable time of day dropped' },
+  coordsFromMgrs:  { severity: 'repaired', description: 'Coordinates filled from the MGRS reference' },
+  missingCoords:   { severity: 'flagged',  description: 'No usable coordinates; kept without a location' },
+  invalidMgrs:     { severity: 'flagged',  description: 'MGRS reference present but not parseable' },
+  mgrsMismatch:    { severity: 'flagged',  description: 'Decimal coordinates disagree with the MGRS grid square' },
+  outsideBoundary: { severity: 'flagged',  description: 'Coordinates fall outside the country boundary' }
+};
+
+const MAX_EXAMPLES = 5;
+
+class QualityReport {
+  constructor() {
+    this.rowsRead = 0;
+    this.issues   = new Map(); // issue -> { count, examples }
+    this.rowsBySeverity = { rejected: 0, repaired: 0, flagged: 0 };
+    this.currentRow     = null;
+  }
+
+  // ---- Start tracking a new CSV row ----
+  beginRow(rowNumber, raw) {
+    this.rowsRead++;
+    this.currentRow = { rowNumber, raw, severities: new Set(), issues: [] };
+  }
+
+  // ---- Record an issue against the current row ----
+  // `details` (field, value, ...) is kept on the example for context.
+  record(issue, details = {}) {
+    const type = ISSUE_TYPES[issue];
+    if (!type) throw new Error(`Unknown data-quality issue: ${issue}`);
+
+    if (!this.issues.has(issue)) this.issues.set(issue, { count: 0, examples: [] });
+    const entry = this.issues.get(issue);
+    entry.count++;
+
+    const row = this.currentRow;
+    if (entry.examples.length < MAX_EXAMPLES) {
+      entry.examples.push({ row: row ? row.rowNumber : null, ...details, raw: row ? row.raw : null });
+    }
+    if (row) {
+      row.severities.add(type.severity);
+      row.issues.push({ issue, severity: type.severity, description: type.description, ...details });
+    }
+  }
+
+  // ---- Close the current row and roll its issues into the row totals ----
+  // Returns the row's own { rowNumber, issues } for callers reporting per row.
+  endRow() {
+    const row = this.currentRow;
+    if (!row) return null;
+    // A rejected row counts only as rejected, whatever else was wrong with it
+    if (row.severities.has('rejected')) {
+      this.rowsBySeverity.rejected++;
+    } else {
+      for (const severity of row.severities) this.rowsBySeverity[severity]++;
+    }
+    this.currentRow = null;
+    return { rowNumber: row.rowNumber, issues: row.issues };
+  }
+
+  // ---- One-line summary for the startup log ----
+  summary() {
+    const { rejected, repaired, flagged } = this.rowsBySeverity;
+    return `${this.rowsRead} rows read, ${rejected} rejected, ${repaired} repaired, ${flagged} flagged`;
+  }
+
+  toJSON() {
+    const issues = Array.from(this.issues, ([issue, { count, examples }]) => ({
+      issue,
+      severity:    ISSUE_TYPES[issue].severity,
+      description: ISSUE_TYPES[issue].description,
+      count,
+      examples
+    })).sort((a, b) => b.count - a.count);
+
+    return {
+      rowsRead:     this.rowsRead,
+      rowsAccepted: this.rowsRead - this.rowsBySeverity.rejected,
+      rowsRejected: this.rowsBySeverity.rejected,
+      rowsRepaired: this.rowsBySeverity.repaired,
+      rowsFlagged:  this.rowsBySeverity.flagged,
+      issues
+    };
+  }
+
+  // ---- Rebuild a report from its toJSON() output (e.g. stored alongside a SQLite cache) ----
+  static fromJSON(json) {
+    const report = new QualityReport();
+    report.rowsRead       = json.rowsRead;
+    report.rowsBySeverity = { rejected: json.rowsRejected, repaired: json.rowsRepaired, flagged: json.rowsFlagged };
+    for (const { issue, count, examples } of json.issues) {
+      report.issues.set(issue, { count, examples });
+    }
+    return report;
+  }
+}
+
+module.exports = QualityReport;
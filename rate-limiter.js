@@ -0,0 +1,32 @@
+// Fixed-window request counter per client. Every client shares the same
+// window boundaries, so the whole table is dropped when a window ends
+// instead of expiring entries one by one.
+
+class RateLimiter {
+  constructor(windowMs = 60000) {
+    this.windowMs = windowMs;
+    this.window   = null;      // Index of the current window
+    this.counts   = new Map(); // client id -> requests this window
+  }
+
+  // ---- Count one request; returns { allowed, limit, remaining, resetSeconds } ----
+  hit(clientId, limit, now = Date.now()) {
+    const window = Math.floor(now / this.windowMs);
+    if (window !== this.window) {
+      this.window = window;
+      this.counts.clear();
+    }
+
+    const count = (this.counts.get(clientId) || 0) + 1;
+    this.counts.set(clientId, count);
+
+    return {
+      allowed:      count <= limit,
+      limit,
+      remaining:    Math.max(limit - count, 0),
+      resetSeconds: Math.ceil(((window + 1) * this.windowMs - now) / 1000)
+    };
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,103 @@
+// Point-in-polygon lookup over a GeoJSON FeatureCollection.
+// Polygons and MultiPolygons are supported, including holes. Each feature's
+// bounding box is precomputed so most features are rejected without a ring walk.
+// Each region keeps its feature's `index` in the collection, since names
+// needn't be present or unique.
+
+const EARTH_RADIUS_KM = 6371;
+
+class RegionLocator {
+  constructor(geojson, nameProperty = 'name') {
+    this.regions = (geojson.features || [])
+      .map((feature, index) => ({ feature, index }))
+      .filter(({ feature }) => feature.geometry && ['Polygon', 'MultiPolygon'].includes(feature.geometry.type))
+      .map(({ feature, index }) => {
+        const polygons = feature.geometry.type === 'Polygon'
+          ? [feature.geometry.coordinates]
+          : feature.geometry.coordinates;
+        return {
+          index,
+          name:    (feature.properties || {})[nameProperty],
+          polygons,
+          bbox:    polygonsBBox(polygons),
+          areaKm2: polygonsAreaKm2(polygons)
+        };
+      });
+  }
+
+  // ---- True if any region contains the point ----
+  contains(lng, lat) {
+    return this.find(lng, lat) !== null;
+  }
+
+  // ---- First region containing the point, or null ----
+  find(lng, lat) {
+    if (!isFinite(lng) || !isFinite(lat)) return null;
+
+    for (const region of this.regions) {
+      const [minLng, minLat, maxLng, maxLat] = region.bbox;
+      if (lng < minLng || lng > maxLng || lat < minLat || lat > maxLat) continue;
+      if (region.polygons.some(rings => polygonContains(rings, lng, lat))) return region;
+    }
+    return null;
+  }
+}
+
+// Inside the outer ring and outside every hole
+function polygonContains(rings, lng, lat) {
+  if (!ringContains(rings[0], lng, lat)) return false;
+  for (let i = 1; i < rings.length; i++) {
+    if (ringContains(rings[i], lng, lat)) return false;
+  }
+  return true;
+}
+
+// Even-odd ray cast
+function ringContains(ring, lng, lat) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < (xj - xi) * (lat - yi) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function polygonsBBox(polygons) {
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const rings of polygons) {
+    for (const [lng, lat] of rings[0]) {
+      if (lng < bbox[0]) bbox[0] = lng;
+      if (lat < bbox[1]) bbox[1] = lat;
+      if (lng > bbox[2]) bbox[2] = lng;
+      if (lat > bbox[3]) bbox[3] = lat;
+    }
+  }
+  return bbox;
+}
+
+// Spherical area of a ring in km² (sign depends on winding order)
+function ringAreaKm2(ring) {
+  const toRad = deg => deg * Math.PI / 180;
+  let sum = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [lng1, lat1] = ring[j];
+    const [lng2, lat2] = ring[i];
+    sum += toRad(lng2 - lng1) * (2 + Math.sin(toRad(lat1)) + Math.sin(toRad(lat2)));
+  }
+  return Math.abs(sum * EARTH_RADIUS_KM * EARTH_RADIUS_KM / 2);
+}
+
+// Outer rings minus holes
+function polygonsAreaKm2(polygons) {
+  let area = 0;
+  for (const rings of polygons) {
+    area += ringAreaKm2(rings[0]);
+    for (let i = 1; i < rings.length; i++) area -= ringAreaKm2(rings[i]);
+  }
+  return area;
+}
+
+module.exports = RegionLocator;
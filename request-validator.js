@@ -0,0 +1,116 @@
+// Validates path and query parameters against a route's OpenAPI parameter
+// list (see api-spec.js). Only the schema keywords the spec uses are
+// supported: type (string, integer, number, boolean, array of those), enum,
+// pattern, minimum, maximum, exclusiveMinimum, minItems and maxItems, plus
+// format: date, which must be a real calendar day.
+// Arrays are comma-separated (style: form, explode: false).
+//
+// Bad requests get a 400 with every problem listed:
+//   { error: 'Invalid request parameters',
+//     details: [{ in: 'query', name: 'limit', message: '"limit" must be ...' }] }
+// Parameters not in the list are left alone -- the handlers read them.
+// Valid ones are also set on req.validated as numbers, booleans or arrays.
+
+const { isValidDate } = require('./dates');
+
+// ---- Human-readable range for a numeric schema, e.g. ' between 1 and 5000' ----
+function describeRange(schema) {
+  const min = schema.minimum !== undefined ? schema.minimum : schema.exclusiveMinimum;
+  if (min !== undefined && schema.maximum !== undefined) {
+    return schema.exclusiveMinimum !== undefined
+      ? ` greater than ${min} and at most ${schema.maximum}`
+      : ` between ${min} and ${schema.maximum}`;
+  }
+  if (schema.exclusiveMinimum !== undefined) return ` greater than ${schema.exclusiveMinimum}`;
+  if (schema.minimum !== undefined)          return ` of at least ${schema.minimum}`;
+  if (schema.maximum !== undefined)          return ` of at most ${schema.maximum}`;
+  return '';
+}
+
+// ---- Problem with one raw value against a scalar schema, or null ----
+function checkValue(value, schema) {
+  switch (schema.type) {
+    case 'integer':
+    case 'number': {
+      const number = Number(value);
+      const valid  = value.trim() !== '' && isFinite(number) &&
+        (schema.type === 'number' || Number.isInteger(number)) &&
+        !(schema.minimum !== undefined && number < schema.minimum) &&
+        !(schema.exclusiveMinimum !== undefined && number <= schema.exclusiveMinimum) &&
+        !(schema.maximum !== undefined && number > schema.maximum);
+      return valid ? null : `must be ${schema.type === 'integer' ? 'an integer' : 'a number'}${describeRange(schema)}`;
+    }
+    case 'boolean':
+      return value === 'true' || value === 'false' ? null : 'must be true or false';
+    default:
+      if (schema.enum && !schema.enum.includes(value)) {
+        return `must be one of: ${schema.enum.join(', ')}`;
+      }
+      if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        return schema.format === 'date' ? 'must be a date in YYYY-MM-DD format' : `must match ${schema.pattern}`;
+      }
+      if (schema.format === 'date' && !isValidDate(value)) {
+        return 'must be a real calendar date';
+      }
+      return null;
+  }
+}
+
+// ---- Problem with one parameter, or null ----
+function checkParameter(param, raw) {
+  if (raw === undefined) {
+    return param.required ? 'is required' : null;
+  }
+  if (typeof raw !== 'string') {
+    return 'must be given once';
+  }
+
+  const { schema } = param;
+  if (schema.type !== 'array') return checkValue(raw, schema);
+
+  const items = raw.split(',').map(item => item.trim());
+  if (schema.minItems !== undefined && schema.minItems === schema.maxItems && items.length !== schema.minItems) {
+    return `must be ${schema.minItems} comma-separated values`;
+  }
+  for (const item of items) {
+    // Empty entries are dropped by the handlers (e.g. `exclude=`)
+    if (item === '' && schema.items.type === 'string') continue;
+    const problem = checkValue(item, schema.items);
+    if (problem) return `values ${problem}`;
+  }
+  return null;
+}
+
+// ---- Typed value of a parameter that passed checkParameter() ----
+function coerce(raw, schema) {
+  switch (schema.type) {
+    case 'integer':
+    case 'number':  return Number(raw);
+    case 'boolean': return raw === 'true';
+    case 'array':   return raw.split(',').map(item => item.trim()).filter(Boolean).map(item => coerce(item, schema.items));
+    default:        return raw;
+  }
+}
+
+// ---- Express middleware checking a route's parameters ----
+function validateRequest(route) {
+  const params = route.parameters || [];
+  return (req, res, next) => {
+    const details   = [];
+    const validated = {};
+    for (const param of params) {
+      const source  = param.in === 'path' ? req.params : req.query;
+      const raw     = source[param.name];
+      const problem = checkParameter(param, raw);
+      if (problem) details.push({ in: param.in, name: param.name, message: `"${param.name}" ${problem}` });
+      else if (raw !== undefined) validated[param.name] = coerce(raw, param.schema);
+    }
+    if (details.length) {
+      return res.status(400).json({ error: 'Invalid request parameters', details });
+    }
+    req.validated = validated;
+    next();
+  };
+}
+
+module.exports = { validateRequest };
@@ -0,0 +1,207 @@
+// Incident search: value matchers, a small boolean query language and facets.
+//
+// Value syntax (query-string filters and `q` terms alike, case-insensitive):
+//   Baghdad      exact match
+//   Bag*         prefix match
+//   Bagdad~      fuzzy match (small edit distance)
+//   !Baghdad     negation (query-string filters only -- `q` uses NOT)
+//
+// `q` syntax:
+//   type:"Enemy Action" AND (city:Bag* OR NOT province:Anbar) falluja~
+// Terms without a field match any searchable field; free text without * or ~
+// is a substring match. Adjacent terms are ANDed.
+
+class SearchQueryError extends Error {}
+
+// ===== VALUE MATCHERS =====
+
+// Edit distance, bailing out once it exceeds `max`
+function levenshtein(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const curr = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+      rowMin  = Math.min(rowMin, curr[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// ---- Build a predicate over one string value ----
+// `substring` makes plain values match anywhere (used for free text).
+function valueMatcher(raw, { substring = false } = {}) {
+  const value = raw.toLowerCase();
+
+  if (value.endsWith('*')) {
+    const prefix = value.slice(0, -1);
+    return str => str.toLowerCase().startsWith(prefix);
+  }
+
+  if (value.endsWith('~')) {
+    const target  = value.slice(0, -1);
+    const maxEdit = Math.max(1, Math.floor(target.length / 4));
+    return str => {
+      const lower = str.toLowerCase();
+      // Free text compares against each word as well as the whole value
+      const candidates = substring ? [lower, ...lower.split(/[\s\-\/]+/)] : [lower];
+      return candidates.some(c => levenshtein(c, target, maxEdit) <= maxEdit);
+    };
+  }
+
+  return substring
+    ? str => str.toLowerCase().includes(value)
+    : str => str.toLowerCase() === value;
+}
+
+// ---- Predicate for a comma-separated query-string filter on one field ----
+// Positive values are ORed; every negated value must fail to match.
+function fieldFilter(field, spec) {
+  const values   = String(spec).split(',').map(v => v.trim()).filter(v => v && v !== 'all');
+  const positive = values.filter(v => !v.startsWith('!')).map(v => valueMatcher(v));
+  const negative = values.filter(v => v.startsWith('!')).map(v => valueMatcher(v.slice(1)));
+  if (!positive.length && !negative.length) return null;
+
+  return incident => {
+    const str = String(incident[field]);
+    if (positive.length && !positive.some(m => m(str))) return false;
+    return !negative.some(m => m(str));
+  };
+}
+
+// ===== QUERY LANGUAGE =====
+
+// Split `q` into '(', ')', operator and term tokens. Terms keep their
+// optional `field:` prefix and trailing * / ~.
+function tokenize(q) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < q.length) {
+    const ch = q[i];
+    if (/\s/.test(ch)) { i++; continue; }
+    if (ch === '(' || ch === ')') { tokens.push({ kind: ch }); i++; continue; }
+
+    let field = null;
+    let value = '';
+
+    // Optional field prefix
+    const fieldMatch = /^([A-Za-z]+):/.exec(q.slice(i));
+    if (fieldMatch) {
+      field = fieldMatch[1];
+      i += fieldMatch[0].length;
+    }
+
+    if (q[i] === '"') {
+      const end = q.indexOf('"', i + 1);
+      if (end === -1) throw new SearchQueryError('Unterminated quote in "q"');
+      value = q.slice(i + 1, end);
+      i = end + 1;
+      if (q[i] === '*' || q[i] === '~') value += q[i++];
+    } else {
+      while (i < q.length && !/[\s()]/.test(q[i])) value += q[i++];
+    }
+
+    if (!field && /^(AND|OR|NOT)$/.test(value)) {
+      tokens.push({ kind: value });
+    } else {
+      if (!value) throw new SearchQueryError(`Missing value for "${field}:" in "q"`);
+      tokens.push({ kind: 'term', field, value });
+    }
+  }
+  return tokens;
+}
+
+// ---- Parse `q` into a predicate over incidents ----
+// `fields` lists the searchable incident fields for this theater.
+function parseSearchQuery(q, fields) {
+  const tokens = tokenize(q);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+
+  function parseOr() {
+    let left = parseAnd();
+    while (peek() && peek().kind === 'OR') {
+      next();
+      const right = parseAnd();
+      const l = left;
+      left = incident => l(incident) || right(incident);
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseNot();
+    while (peek() && peek().kind !== 'OR' && peek().kind !== ')') {
+      if (peek().kind === 'AND') next();
+      const right = parseNot();
+      const l = left;
+      left = incident => l(incident) && right(incident);
+    }
+    return left;
+  }
+
+  function parseNot() {
+    if (peek() && peek().kind === 'NOT') {
+      next();
+      const inner = parseNot();
+      return incident => !inner(incident);
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const token = next();
+    if (!token) throw new SearchQueryError('Unexpected end of "q"');
+
+    if (token.kind === '(') {
+      const inner = parseOr();
+      if (!peek() || next().kind !== ')') throw new SearchQueryError('Missing ")" in "q"');
+      return inner;
+    }
+
+    if (token.kind !== 'term') throw new SearchQueryError(`Unexpected "${token.kind}" in "q"`);
+
+    if (token.field) {
+      if (!fields.includes(token.field)) {
+        throw new SearchQueryError(`Unknown field "${token.field}" in "q". Allowed: ${fields.join(', ')}`);
+      }
+      const match = valueMatcher(token.value);
+      return incident => match(String(incident[token.field]));
+    }
+
+    const match = valueMatcher(token.value, { substring: true });
+    return incident => fields.some(field => match(String(incident[field])));
+  }
+
+  const predicate = parseOr();
+  if (pos < tokens.length) throw new SearchQueryError(`Unexpected "${peek().kind}" in "q"`);
+  return predicate;
+}
+
+// ===== FACETS =====
+
+// ---- Value counts per field, most frequent first, capped at `limit` values ----
+function facetCounts(incidents, fields, limit = 20) {
+  const facets = {};
+  for (const field of fields) {
+    const counts = new Map();
+    for (const incident of incidents) {
+      counts.set(incident[field], (counts.get(incident[field]) || 0) + 1);
+    }
+    facets[field] = Array.from(counts, ([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, limit);
+  }
+  return facets;
+}
+
+module.exports = { fieldFilter, parseSearchQuery, facetCounts, SearchQueryError };
@@ -1,271 +1,218 @@
 require('dotenv').config();
-const express      = require('express');
-const cors         = require('cors');
-const path         = require('path');
-const dataProcessor    = require('./data-processor');
-const afgDataProcessor = require('./afg-data-processor');
+const express         = require('express');
+const cors            = require('cors');
+const compression     = require('compression');
+const theaterRegistry = require('./theater-registry');
+const { createTheaterRouter, parseDateRange } = require('./theater-routes');
+const { validateRequest } = require('./request-validator');
+const { THEATER_ROUTES, APP_ROUTES, API_VERSION, apiPaths, endpointList, buildOpenApiDocument } = require('./api-spec');
+const { compareTheaters, COMPARE_INTERVALS, COMPARE_ALIGNS, COMPARE_METRICS, COMPARE_GROUPS } = require('./comparison');
+const { authenticate, requireAdmin } = require('./auth');
 
 const app  = express();
 const PORT = process.env.PORT || 3000;
 
 // ===== MIDDLEWARE =====
-app.use(cors());
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// Strong ETags (a hash of the JSON body) let clients revalidate with
+// If-None-Match and get a 304 instead of the payload again
+app.set('etag', 'strong');
+
+// Express tags the body before compression() encodes it, so an encoded
+// response gets its content-coding appended to the tag ('"<hash>-br"') and
+// compression() adds Vary: Accept-Encoding. Tags a client sends back have
+// the coding stripped again, so Express's freshness check compares like
+// with like, and a 304 answers with the tag that matched.
+const CODED_ETAG = /-(?:br|gzip|deflate)"$/;
+
+function codingETags(req, res, next) {
+  const sent = (req.headers['if-none-match'] || '').split(',').map(tag => tag.trim()).filter(Boolean);
+  if (sent.length) req.headers['if-none-match'] = sent.map(tag => tag.replace(CODED_ETAG, '"')).join(', ');
+
+  // Wrapped before compression() wraps it, so this runs after compression()
+  // has set Content-Encoding
+  const writeHead = res.writeHead;
+  res.writeHead = function (...args) {
+    const etag   = res.getHeader('ETag');
+    const coding = res.getHeader('Content-Encoding');
+    if (etag && res.statusCode === 304) {
+      const matched = sent.find(tag => tag.replace(CODED_ETAG, '"') === etag);
+      if (matched) res.setHeader('ETag', matched);
+    } else if (etag && coding && coding !== 'identity') {
+      res.setHeader('ETag', etag.replace(/"$/, `-${coding}"`));
+    }
+    return writeHead.apply(this, args);
+  };
+  next();
+}
 
-// ===== STARTUP FLAGS =====
-let iraqDataLoaded = false;
-let afgDataLoaded  = false;
+// Number of reverse proxies in front of the server (e.g. 1 on Render), so
+// req.ip -- used for anonymous rate limits -- is the real client address
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
+// CORS_ORIGINS is a comma-separated allow-list; unset allows any origin
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+
+app.use(codingETags);
+app.use(compression()); // brotli or gzip, whichever the client prefers
+app.use(cors({
+  origin:         corsOrigins.length ? corsOrigins : '*',
+  exposedHeaders: ['ETag', 'Last-Modified', 'Retry-After', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset']
+}));
+app.use('/api', authenticate); // API keys, roles and rate limits -- see auth.js
+app.use(express.json({ limit: '5mb' })); // Room for batched incident uploads
+app.use(express.urlencoded({ extended: true }));
 
 // ===== DATA INITIALIZATION =====
+// Theaters load in config order. A required theater that fails takes the
+// server down; optional ones are logged and left in the 'loading' state.
 async function initializeData() {
-  try {
-    // ---- Iraq ----
-    const iraqCsvPath     = path.join(__dirname, 'data', 'IQ_SIGACTs_-_cleaned.csv');
-    const iraqBoundaryPath = path.join(__dirname, 'data', 'iq.json');
-    const heatmapJsonPath  = path.join(__dirname, 'data', 'sigacts_data.json');
-
-    await dataProcessor.loadData(iraqCsvPath, iraqBoundaryPath, heatmapJsonPath);
-    iraqDataLoaded = true;
-    console.log('✅ Iraq data initialization complete!');
-  } catch (error) {
-    console.error('❌ Error loading Iraq data:', error);
-    process.exit(1);
-  }
-
-  try {
-    // ---- Afghanistan ----
-    const afgCsvPath      = path.join(__dirname, 'data', 'AfgSigacts_cleaned.csv');
-    const afgBoundaryPath = path.join(__dirname, 'data', 'af.json');
-
-    await afgDataProcessor.loadData(afgCsvPath, afgBoundaryPath);
-    afgDataLoaded = true;
-    console.log('✅ Afghanistan data initialization complete!');
-  } catch (error) {
-    console.error('❌ Error loading Afghanistan data:', error);
-    // Don't exit -- Iraq still works if Afghan load fails
-    console.error('⚠️  Server continuing without Afghanistan data.');
+  for (const theater of theaterRegistry.list()) {
+    const { name, required } = theater.config;
+    try {
+      await theaterRegistry.load(theater.id);
+      console.log(`✅ ${name} data initialization complete!`);
+    } catch (error) {
+      console.error(`❌ Error loading ${name} data:`, error);
+      if (required) process.exit(1);
+      console.error(`⚠️  Server continuing without ${name} data.`);
+    }
   }
 }
 
-// ===== READY-CHECK MIDDLEWARE =====
-function ensureIraqLoaded(req, res, next) {
-  if (!iraqDataLoaded) {
-    return res.status(503).json({ error: 'Iraq data is still loading. Please try again in a moment.' });
-  }
-  next();
+// Every URL a theater is reachable under: the versioned and unversioned
+// generic paths plus its legacy alias
+function theaterPrefixes(theater) {
+  return [...apiPaths(`/theaters/${theater.id}`), theater.config.aliasPrefix];
 }
 
-function ensureAfgLoaded(req, res, next) {
-  if (!afgDataLoaded) {
-    return res.status(503).json({ error: 'Afghanistan data is still loading. Please try again in a moment.' });
-  }
-  next();
-}
+// Public (non-admin) theater routes
+const PUBLIC_THEATER_ROUTES = THEATER_ROUTES.filter(route => !route.admin);
 
 // =============================================================
-// ===== IRAQ ROUTES (unchanged) ===============================
+// ===== ROUTES ================================================
 // =============================================================
 
 app.get('/', (req, res) => {
+  const status    = {};
+  const datasets  = {};
+  const endpoints = [];
+  for (const theater of theaterRegistry.list()) {
+    datasets[theater.id] = theaterRegistry.describe(theater);
+    status[theater.id]   = datasets[theater.id].status;
+    endpoints.push(...endpointList(PUBLIC_THEATER_ROUTES, theater.config.aliasPrefix));
+  }
+  endpoints.push(
+    ...endpointList(APP_ROUTES, `/api/${API_VERSION}`),
+    ...endpointList(THEATER_ROUTES, `/api/${API_VERSION}/theaters/:theater`)
+  );
+
   res.json({
     message: '🚀 SIGACTS API Server is running!',
-    status: {
-      iraq:        iraqDataLoaded ? 'ready' : 'loading',
-      afghanistan: afgDataLoaded  ? 'ready' : 'loading'
-    },
-    endpoints: [
-      // Iraq
-      'GET /api/dates',
-      'GET /api/metadata',
-      'GET /api/incidents/:date',
-      'GET /api/dashboard/treemap',
-      'GET /api/dashboard/radar',
-      'GET /api/dashboard/heatmap',
-      'GET /api/boundary',
-      // Afghanistan
-      'GET /api/afg/dates',
-      'GET /api/afg/metadata',
-      'GET /api/afg/incidents/:date',
-      'GET /api/afg/dashboard/treemap',
-      'GET /api/afg/dashboard/radar',
-      'GET /api/afg/dashboard/heatmap',
-      'GET /api/afg/boundary'
-    ]
+    status,
+    datasets,
+    docs: `/api/${API_VERSION}/openapi.json`,
+    endpoints
   });
 });
 
-app.get('/api/dates', ensureIraqLoaded, (req, res) => {
-  try {
-    const dates = dataProcessor.getDates();
-    console.log(`📅 [Iraq] Sent ${dates.length} dates`);
-    res.json({ dates });
-  } catch (error) {
-    console.error('Error fetching Iraq dates:', error);
-    res.status(500).json({ error: 'Failed to fetch dates' });
-  }
-});
-
-app.get('/api/metadata', ensureIraqLoaded, (req, res) => {
-  try {
-    const metadata = dataProcessor.getMetadata();
-    console.log('📊 [Iraq] Sent metadata');
-    res.json(metadata);
-  } catch (error) {
-    console.error('Error fetching Iraq metadata:', error);
-    res.status(500).json({ error: 'Failed to fetch metadata' });
-  }
-});
-
-app.get('/api/incidents/:date', ensureIraqLoaded, (req, res) => {
-  try {
-    const { date } = req.params;
-    const filters = {
-      type:     req.query.type,
-      category: req.query.category,
-      province: req.query.province
-    };
-    const incidents = dataProcessor.getIncidents(date, filters);
-    console.log(`📤 [Iraq] Sent ${incidents.length} incidents for ${date}`);
-    res.json({ date, count: incidents.length, incidents });
-  } catch (error) {
-    console.error('Error fetching Iraq incidents:', error);
-    res.status(500).json({ error: 'Failed to fetch incidents' });
-  }
-});
-
-app.get('/api/dashboard/treemap', ensureIraqLoaded, (req, res) => {
-  try {
-    const data = dataProcessor.getTreemapData();
-    console.log('📊 [Iraq] Sent treemap data');
-    res.json(data);
-  } catch (error) {
-    console.error('Error generating Iraq treemap:', error);
-    res.status(500).json({ error: 'Failed to generate treemap data' });
-  }
-});
-
-app.get('/api/dashboard/radar', ensureIraqLoaded, (req, res) => {
-  try {
-    const data = dataProcessor.getRadarData();
-    console.log('📊 [Iraq] Sent radar data');
-    res.json(data);
-  } catch (error) {
-    console.error('Error generating Iraq radar:', error);
-    res.status(500).json({ error: 'Failed to generate radar data' });
-  }
-});
-
-app.get('/api/dashboard/heatmap', ensureIraqLoaded, (req, res) => {
-  try {
-    const data = dataProcessor.getHeatmapData();
-    console.log('📊 [Iraq] Sent heatmap data');
-    res.json(data);
-  } catch (error) {
-    console.error('Error generating Iraq heatmap:', error);
-    res.status(500).json({ error: 'Failed to generate heatmap data' });
-  }
-});
-
-app.get('/api/boundary', ensureIraqLoaded, (req, res) => {
-  try {
-    const boundary = dataProcessor.getBoundary();
-    if (!boundary) return res.status(404).json({ error: 'Iraq boundary data not found' });
-    console.log('🗺️  [Iraq] Sent boundary');
-    res.json(boundary);
-  } catch (error) {
-    console.error('Error fetching Iraq boundary:', error);
-    res.status(500).json({ error: 'Failed to fetch boundary' });
-  }
-});
-
-// =============================================================
-// ===== AFGHANISTAN ROUTES ====================================
-// =============================================================
-
-app.get('/api/afg/dates', ensureAfgLoaded, (req, res) => {
-  try {
-    const dates = afgDataProcessor.getDates();
-    console.log(`📅 [Afghanistan] Sent ${dates.length} dates`);
-    res.json({ dates });
-  } catch (error) {
-    console.error('Error fetching Afghanistan dates:', error);
-    res.status(500).json({ error: 'Failed to fetch dates' });
-  }
-});
-
-app.get('/api/afg/metadata', ensureAfgLoaded, (req, res) => {
-  try {
-    const metadata = afgDataProcessor.getMetadata();
-    console.log('📊 [Afghanistan] Sent metadata');
-    res.json(metadata);
-  } catch (error) {
-    console.error('Error fetching Afghanistan metadata:', error);
-    res.status(500).json({ error: 'Failed to fetch metadata' });
-  }
-});
+// ---- Parameter checks for the app-level routes below ----
+for (const route of APP_ROUTES) {
+  app[route.method](apiPaths(route.path), validateRequest(route));
+}
 
-app.get('/api/afg/incidents/:date', ensureAfgLoaded, (req, res) => {
-  try {
-    const { date } = req.params;
-    const filters = {
+app.get(apiPaths('/openapi.json'), (req, res) => {
+  res.json(buildOpenApiDocument(theaterRegistry.list().map(theater => theater.id)));
+});
+
+app.get(apiPaths('/theaters'), (req, res) => {
+  const theaters = theaterRegistry.list().map(theater => ({
+    id:   theater.id,
+    name: theater.config.name,
+    ...theaterRegistry.describe(theater),
+    urls: theaterPrefixes(theater)
+  }));
+  res.json({ theaters });
+});
+
+// ---- Side-by-side series for several theaters ----
+// ?theaters= picks which (default: every loaded theater); the rest of the
+// options are documented in comparison.js.
+app.get(apiPaths('/compare'), (req, res) => {
+  try {
+    const ids      = req.query.theaters ? String(req.query.theaters).split(',').map(t => t.trim()) : null;
+    const theaters = ids ? ids.map(id => theaterRegistry.get(id)) : theaterRegistry.list().filter(t => t.loaded);
+
+    const unknown = ids ? ids.filter((id, i) => !theaters[i]) : [];
+    if (unknown.length) return res.status(404).json({ error: `Unknown theater: ${unknown.join(', ')}` });
+    const loading = theaters.filter(t => !t.loaded);
+    if (loading.length) {
+      return res.status(503).json({ error: `${loading.map(t => t.config.name).join(', ')} data is still loading. Please try again in a moment.` });
+    }
+    if (!theaters.length) return res.status(503).json({ error: 'No theater data is loaded yet' });
+
+    const options = {
+      metric:   req.query.metric   || 'count',
+      interval: req.query.interval || 'month',
+      align:    req.query.align    || 'calendar',
+      groupBy:  req.query.groupBy  || null,
       type:     req.query.type,
       category: req.query.category
-      // No province filter for Afghanistan
     };
-    const incidents = afgDataProcessor.getIncidents(date, filters);
-    console.log(`📤 [Afghanistan] Sent ${incidents.length} incidents for ${date}`);
-    res.json({ date, count: incidents.length, incidents });
-  } catch (error) {
-    console.error('Error fetching Afghanistan incidents:', error);
-    res.status(500).json({ error: 'Failed to fetch incidents' });
-  }
-});
-
-app.get('/api/afg/dashboard/treemap', ensureAfgLoaded, (req, res) => {
-  try {
-    const data = afgDataProcessor.getTreemapData();
-    console.log('📊 [Afghanistan] Sent treemap data');
+    const choices = { metric: COMPARE_METRICS, interval: COMPARE_INTERVALS, align: COMPARE_ALIGNS };
+    for (const [param, allowed] of Object.entries(choices)) {
+      if (!allowed.includes(options[param])) {
+        return res.status(400).json({ error: `"${param}" must be one of: ${allowed.join(', ')}` });
+      }
+    }
+    if (options.groupBy && !COMPARE_GROUPS.includes(options.groupBy)) {
+      return res.status(400).json({ error: `"groupBy" must be one of: ${COMPARE_GROUPS.join(', ')}` });
+    }
+
+    // Default span covers every selected theater
+    const firstDates = theaters.map(t => t.processor.getDates()[0]).sort();
+    const lastDates  = theaters.map(t => t.processor.getDates().slice(-1)[0]).sort();
+    const range = parseDateRange(req.query, [firstDates[0], lastDates[lastDates.length - 1]]);
+    if (range.error) return res.status(400).json({ error: range.error });
+
+    const data = compareTheaters(theaters, { ...options, ...range });
+    console.log(`⚖️  Compared ${theaters.map(t => t.config.name).join(' vs ')} (${data.series.length} series)`);
     res.json(data);
   } catch (error) {
-    console.error('Error generating Afghanistan treemap:', error);
-    res.status(500).json({ error: 'Failed to generate treemap data' });
+    console.error('Error comparing theaters:', error);
+    res.status(500).json({ error: 'Failed to compare theaters' });
   }
 });
 
-app.get('/api/afg/dashboard/radar', ensureAfgLoaded, (req, res) => {
-  try {
-    const data = afgDataProcessor.getRadarData();
-    console.log('📊 [Afghanistan] Sent radar data');
-    res.json(data);
-  } catch (error) {
-    console.error('Error generating Afghanistan radar:', error);
-    res.status(500).json({ error: 'Failed to generate radar data' });
-  }
-});
+// ---- Admin: reload a theater's data files without restarting ----
+// Needs an admin API key. Answers once the new data is live,
+// or with the validation error if the old version was kept.
+app.post(apiPaths('/theaters/:theater/reload'), requireAdmin, async (req, res) => {
+  const theater = theaterRegistry.get(req.params.theater);
+  if (!theater) return res.status(404).json({ error: `Unknown theater: ${req.params.theater}` });
 
-app.get('/api/afg/dashboard/heatmap', ensureAfgLoaded, (req, res) => {
   try {
-    const data = afgDataProcessor.getHeatmapData();
-    console.log('📊 [Afghanistan] Sent heatmap data');
-    res.json(data);
+    await theaterRegistry.load(theater.id);
+    console.log(`✅ ${theater.config.name} reloaded via admin endpoint`);
+    res.json({ id: theater.id, ...theaterRegistry.describe(theater) });
   } catch (error) {
-    console.error('Error generating Afghanistan heatmap:', error);
-    res.status(500).json({ error: 'Failed to generate heatmap data' });
+    console.error(`❌ Reload of ${theater.config.name} failed:`, error);
+    res.status(500).json({
+      error: `Reload failed, still serving version ${theater.version}: ${error.message}`
+    });
   }
 });
 
-app.get('/api/afg/boundary', ensureAfgLoaded, (req, res) => {
-  try {
-    const boundary = afgDataProcessor.getBoundary();
-    if (!boundary) return res.status(404).json({ error: 'Afghanistan boundary data not found' });
-    console.log('🗺️  [Afghanistan] Sent boundary');
-    res.json(boundary);
-  } catch (error) {
-    console.error('Error fetching Afghanistan boundary:', error);
-    res.status(500).json({ error: 'Failed to fetch boundary' });
-  }
-});
+app.use(apiPaths('/theaters/:theater'), createTheaterRouter(req => theaterRegistry.get(req.params.theater)));
+
+// Legacy aliases -- longest prefix first so /api/afg is not swallowed by /api
+const aliasedTheaters = theaterRegistry.list()
+  .filter(theater => theater.config.aliasPrefix)
+  .sort((a, b) => b.config.aliasPrefix.length - a.config.aliasPrefix.length);
+for (const theater of aliasedTheaters) {
+  app.use(theater.config.aliasPrefix, createTheaterRouter(() => theater));
+}
 
 // ===== 404 HANDLER =====
 app.use((req, res) => {
@@ -278,24 +225,20 @@ app.use((req, res) => {
 async function startServer() {
   await initializeData();
 
+  if (process.env.WATCH_DATA === 'true') {
+    theaterRegistry.watch();
+  }
+
   app.listen(PORT, () => {
     console.log(`\n🌐 Server running on http://localhost:${PORT}`);
-    console.log('📍 Iraq endpoints:');
-    console.log(`   GET /api/dates`);
-    console.log(`   GET /api/metadata`);
-    console.log(`   GET /api/incidents/:date`);
-    console.log(`   GET /api/dashboard/treemap`);
-    console.log(`   GET /api/dashboard/radar`);
-    console.log(`   GET /api/dashboard/heatmap`);
-    console.log(`   GET /api/boundary`);
-    console.log('📍 Afghanistan endpoints:');
-    console.log(`   GET /api/afg/dates`);
-    console.log(`   GET /api/afg/metadata`);
-    console.log(`   GET /api/afg/incidents/:date`);
-    console.log(`   GET /api/afg/dashboard/treemap`);
-    console.log(`   GET /api/afg/dashboard/radar`);
-    console.log(`   GET /api/afg/dashboard/heatmap`);
-    console.log(`   GET /api/afg/boundary\n`);
+    for (const theater of theaterRegistry.list()) {
+      console.log(`📍 ${theater.config.name} endpoints (also under /api/${API_VERSION}/theaters/${theater.id}):`);
+      for (const endpoint of endpointList(PUBLIC_THEATER_ROUTES, theater.config.aliasPrefix)) {
+        console.log(`   ${endpoint}`);
+      }
+    }
+    console.log(`📘 OpenAPI document: http://localhost:${PORT}/api/${API_VERSION}/openapi.json`);
+    console.log('');
   });
 }
 
@@ -0,0 +1,104 @@
+// Uniform lat/lng grid for bounding-box and radius lookups.
+// Items are any objects with numeric `lat` and `lng`; rows without valid
+// coordinates are simply not indexed.
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEG_LAT  = 111.32;
+
+class SpatialIndex {
+  constructor(cellSize = 0.1) {
+    this.cellSize = cellSize; // degrees -- 0.1 is ~11 km
+    this.cells    = new Map(); // 'col:row' -> item array
+    this.size     = 0;
+  }
+
+  cellKey(col, row) {
+    return `${col}:${row}`;
+  }
+
+  // ---- Grid cell key for an item, or null if it has no valid coordinates ----
+  itemKey(item) {
+    if (!isFinite(item.lat) || !isFinite(item.lng)) return null;
+    return this.cellKey(Math.floor(item.lng / this.cellSize), Math.floor(item.lat / this.cellSize));
+  }
+
+  // ---- Add one item to the grid ----
+  insert(item) {
+    const key = this.itemKey(item);
+    if (key === null) return;
+
+    if (!this.cells.has(key)) this.cells.set(key, []);
+    this.cells.get(key).push(item);
+    this.size++;
+  }
+
+  // ---- Drop one item (matched by identity) from the grid ----
+  remove(item) {
+    const items = this.cells.get(this.itemKey(item));
+    const index = items ? items.indexOf(item) : -1;
+    if (index === -1) return;
+
+    items.splice(index, 1);
+    if (!items.length) this.cells.delete(this.itemKey(item));
+    this.size--;
+  }
+
+  // ---- All items inside [minLng, minLat, maxLng, maxLat] ----
+  search([minLng, minLat, maxLng, maxLat]) {
+    const results = [];
+    const colMin  = Math.floor(minLng / this.cellSize);
+    const colMax  = Math.floor(maxLng / this.cellSize);
+    const rowMin  = Math.floor(minLat / this.cellSize);
+    const rowMax  = Math.floor(maxLat / this.cellSize);
+
+    // A bbox far bigger than the data would visit mostly empty cells
+    if ((colMax - colMin + 1) * (rowMax - rowMin + 1) > this.cells.size) {
+      for (const items of this.cells.values()) {
+        for (const item of items) {
+          if (inBBox(item, minLng, minLat, maxLng, maxLat)) results.push(item);
+        }
+      }
+      return results;
+    }
+
+    for (let col = colMin; col <= colMax; col++) {
+      for (let row = rowMin; row <= rowMax; row++) {
+        const items = this.cells.get(this.cellKey(col, row));
+        if (!items) continue;
+        for (const item of items) {
+          if (inBBox(item, minLng, minLat, maxLng, maxLat)) results.push(item);
+        }
+      }
+    }
+    return results;
+  }
+
+  // ---- All items within radiusKm of (lat, lng) ----
+  within(lat, lng, radiusKm) {
+    return this.search(radiusBBox(lat, lng, radiusKm))
+      .filter(item => haversineKm(lat, lng, item.lat, item.lng) <= radiusKm);
+  }
+}
+
+function inBBox(item, minLng, minLat, maxLng, maxLat) {
+  return item.lng >= minLng && item.lng <= maxLng && item.lat >= minLat && item.lat <= maxLat;
+}
+
+// Bounding box that fully contains a circle, used to pre-select grid cells
+function radiusBBox(lat, lng, radiusKm) {
+  const dLat = radiusKm / KM_PER_DEG_LAT;
+  const dLng = radiusKm / (KM_PER_DEG_LAT * Math.max(Math.cos(lat * Math.PI / 180), 0.01));
+  return [lng - dLng, lat - dLat, lng + dLng, lat + dLat];
+}
+
+// Great-circle distance in km
+function haversineKm(lat1, lng1, lat2, lng2) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat  = toRad(lat2 - lat1);
+  const dLng  = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+            Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+module.exports = { SpatialIndex, inBBox, radiusBBox, haversineKm };
@@ -0,0 +1,384 @@
+const fs = require('fs');
+const TheaterProcessor = require('./theater-processor');
+const QualityReport    = require('./quality-report');
+const { radiusBBox, haversineKm } = require('./spatial-index');
+
+// better-sqlite3 is an optional dependency -- only theaters configured with
+// `storage: 'sqlite'` need it, so a missing module is reported at load time.
+let Database = null;
+try {
+  Database = require('better-sqlite3');
+} catch (error) {
+  Database = null;
+}
+
+// Bump when the table layout changes so existing cache files are rebuilt
+const SCHEMA_VERSION = 4;
+
+// TheaterProcessor backed by a local SQLite file instead of in-memory arrays.
+// The CSV is ingested once through the same normalizeRow() pipeline; later
+// starts reuse the file as long as the source files and column config are
+// unchanged. Slices, metadata and the dashboard counts are SQL queries, so
+// only the rows a request actually touches are held in memory.
+//
+// Audit log changes are tracked by count in the `meta` table: on open, only
+// entries the file has not seen yet are replayed.
+class SqliteTheaterProcessor extends TheaterProcessor {
+  constructor(id, config) {
+    super(id, config);
+    if (!Database) {
+      throw new Error(`${config.name} is configured for SQLite storage but better-sqlite3 is not installed (npm install better-sqlite3)`);
+    }
+    this.sqlitePath = config.sqlitePath;
+    this.db         = null;
+  }
+
+  // ---- Open (or build) the SQLite cache, then load the optional heatmap ----
+  async loadData() {
+    console.log(`📊 Loading ${this.name} SIGACTS data (SQLite: ${this.sqlitePath})...`);
+
+    // Region lookup is needed for ingest, and the GeoJSON is served either way
+    this.loadBoundaries();
+
+    const fingerprint = this.sourceFingerprint();
+    const changes     = this.audit ? this.audit.read() : [];
+    this.db = this.openCache(fingerprint, changes.length) || await this.buildCache(fingerprint);
+    this.db.function('haversine_km', { deterministic: true }, haversineKm);
+    this.insert = this.prepareInsert(this.db);
+
+    this.lastId = this.db.prepare('SELECT MAX(id) FROM incidents').pluck().get() || 0;
+    this.dates  = this.db.prepare('SELECT DISTINCT date FROM incidents ORDER BY date').pluck().all();
+
+    const applied = Number(this.readMeta(this.db).auditEntries);
+    this.db.transaction(() => {
+      this.replayAuditLog(changes.slice(applied));
+      this.setMeta('auditEntries', changes.length);
+    })();
+    this.auditEntries = changes.length;
+
+    this.logLoadSummary(this.getMetadata());
+
+    this.loadHeatmapOverride();
+    this.isLoaded = true;
+  }
+
+  // ---- Everything the cached rows depend on; any change forces a re-ingest ----
+  sourceFingerprint() {
+    const { csvPath, boundaryPath, regions, columns, defaults, skip, timezone } = this.config;
+    const stat = (file) => {
+      if (!file || !fs.existsSync(file)) return null;
+      const { mtimeMs, size } = fs.statSync(file);
+      return { mtimeMs, size };
+    };
+
+    return JSON.stringify({
+      schema:   SCHEMA_VERSION,
+      csv:      stat(csvPath),
+      boundary: stat(boundaryPath),
+      regions:  regions ? { ...regions, file: stat(regions.path) } : null,
+      columns,
+      defaults,
+      skip,
+      timezone
+    });
+  }
+
+  // ---- Reuse an existing cache file if it was built from the current sources ----
+  // `auditEntries` is the current length of the audit log; a cache that has
+  // applied more than that was built against a different log.
+  openCache(fingerprint, auditEntries) {
+    if (!fs.existsSync(this.sqlitePath)) return null;
+
+    let db;
+    try {
+      db = new Database(this.sqlitePath);
+      const meta = this.readMeta(db);
+      if (meta.fingerprint !== fingerprint) {
+        console.log(`🔁 ${this.name} SQLite cache is out of date -- re-ingesting ${this.config.csvPath}`);
+        db.close();
+        return null;
+      }
+      if (Number(meta.auditEntries) > auditEntries) {
+        console.log(`🔁 ${this.name} audit log no longer matches the SQLite cache -- re-ingesting ${this.config.csvPath}`);
+        db.close();
+        return null;
+      }
+      this.quality = QualityReport.fromJSON(JSON.parse(meta.quality));
+      console.log(`♻️  Reusing ${this.name} SQLite cache`);
+      return db;
+    } catch (error) {
+      console.warn(`⚠️  Ignoring unreadable ${this.name} SQLite cache ${this.sqlitePath}: ${error.message}`);
+      if (db && db.open) db.close();
+      return null;
+    }
+  }
+
+  readMeta(db) {
+    const rows = db.prepare('SELECT key, value FROM meta').all();
+    return Object.fromEntries(rows.map(({ key, value }) => [key, value]));
+  }
+
+  // ---- Ingest the CSV into a fresh file and move it into place ----
+  // Built under a temporary name so a failed ingest never replaces a good
+  // cache, and a processor still serving the old file keeps its own handle.
+  async buildCache(fingerprint) {
+    const tmpPath = `${this.sqlitePath}.tmp`;
+    fs.rmSync(tmpPath, { force: true });
+
+    const db = new Database(tmpPath);
+    try {
+      db.exec(`
+        CREATE TABLE meta (key TEXT PRIMARY KEY, value TEXT);
+        CREATE TABLE incidents (
+          id     INTEGER PRIMARY KEY,
+          date   TEXT NOT NULL,
+          time   TEXT,
+          hour   INTEGER,
+          lat    REAL,
+          lng    REAL,
+          region INTEGER,
+          ${this.attributeFields.map(field => `${quoteIdentifier(field)} TEXT,`).join('\n          ')}
+          data   TEXT NOT NULL
+        );
+      `);
+
+      const insert = this.prepareInsert(db);
+      db.exec('BEGIN');
+      await this.readCsv(incident => insert.run(this.toRow(incident)));
+
+      // Indexes go on after the bulk insert, which is much faster than
+      // maintaining them row by row
+      db.exec(`
+        CREATE INDEX idx_incidents_date     ON incidents (date);
+        CREATE INDEX idx_incidents_type     ON incidents (type, date);
+        CREATE INDEX idx_incidents_location ON incidents (lat, lng);
+      `);
+
+      const setMeta = db.prepare('INSERT INTO meta (key, value) VALUES (?, ?)');
+      setMeta.run('fingerprint', fingerprint);
+      setMeta.run('quality', JSON.stringify(this.quality.toJSON()));
+      setMeta.run('auditEntries', 0);
+      db.exec('COMMIT');
+      db.close();
+    } catch (error) {
+      db.close();
+      fs.rmSync(tmpPath, { force: true });
+      throw error;
+    }
+
+    fs.renameSync(tmpPath, this.sqlitePath);
+    console.log(`💾 Wrote ${this.name} SQLite cache ${this.sqlitePath}`);
+    return new Database(this.sqlitePath);
+  }
+
+  // ---- INSERT OR REPLACE statement taking the output of toRow() ----
+  prepareInsert(db) {
+    const columns = ['id', 'date', 'time', 'hour', 'lat', 'lng', 'region', ...this.attributeFields, 'data'];
+    return db.prepare(
+      `INSERT OR REPLACE INTO incidents (${columns.map(quoteIdentifier).join(', ')}) ` +
+      `VALUES (${columns.map(() => '?').join(', ')})`
+    );
+  }
+
+  // ---- Incident -> column values for prepareInsert() ----
+  toRow(incident) {
+    const hour = incident.time ? parseInt(incident.time.split(':')[0]) : NaN;
+    return [
+      incident.id,
+      incident.date,
+      incident.time,
+      isNaN(hour) ? null : hour,
+      isFinite(incident.lat) ? incident.lat : null,
+      isFinite(incident.lng) ? incident.lng : null,
+      this.incidentRegions.has(incident) ? this.incidentRegions.get(incident) : null,
+      ...this.attributeFields.map(field => incident[field]),
+      JSON.stringify(incident)
+    ];
+  }
+
+  setMeta(key, value) {
+    this.db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)').run(key, String(value));
+  }
+
+  // ---- Ingestion -- the row write and the applied-entry count commit together ----
+  commitChange(entry, apply) {
+    this.audit.append(entry);
+    this.db.transaction(() => {
+      apply();
+      this.setMeta('auditEntries', ++this.auditEntries);
+    })();
+  }
+
+  storeIncident(incident) {
+    this.insert.run(this.toRow(incident));
+    this.addDate(incident.date);
+  }
+
+  replaceStoredIncident(previous, incident) {
+    this.insert.run(this.toRow(incident));
+    const stillUsed = this.db.prepare('SELECT 1 FROM incidents WHERE date = ? LIMIT 1').get(previous.date);
+    if (!stillUsed) this.dates.splice(this.findDateIndex(previous.date), 1);
+    this.addDate(incident.date);
+  }
+
+  isKnownValue(field, value) {
+    return Boolean(this.db.prepare(`SELECT 1 FROM incidents WHERE ${quoteIdentifier(field)} = ? LIMIT 1`).get(value));
+  }
+
+  getIncident(id) {
+    const row = this.db.prepare('SELECT data, region FROM incidents WHERE id = ?').get(id);
+    return row ? this.toIncident(row) : null;
+  }
+
+  // ---- WHERE clause and parameters for a date range plus filters ----
+  whereClause(from, to, filters = {}) {
+    const clauses = [];
+    const params  = [];
+
+    if (from) { clauses.push('date >= ?'); params.push(from); }
+    if (to)   { clauses.push('date <= ?'); params.push(to); }
+
+    for (const field of this.filterFields) {
+      const value = filters[field];
+      if (value && value !== 'all') {
+        clauses.push(`${quoteIdentifier(field)} = ?`);
+        params.push(value);
+      }
+    }
+
+    if (filters.bbox) {
+      const [minLng, minLat, maxLng, maxLat] = filters.bbox;
+      clauses.push('lng BETWEEN ? AND ? AND lat BETWEEN ? AND ?');
+      params.push(minLng, maxLng, minLat, maxLat);
+    }
+
+    // The bounding box lets the location index do most of the work before
+    // the exact distance test
+    if (filters.near) {
+      const { lat, lng, radiusKm } = filters.near;
+      const [minLng, minLat, maxLng, maxLat] = radiusBBox(lat, lng, radiusKm);
+      clauses.push('lng BETWEEN ? AND ? AND lat BETWEEN ? AND ? AND haversine_km(?, ?, lat, lng) <= ?');
+      params.push(minLng, maxLng, minLat, maxLat, lat, lng, radiusKm);
+    }
+
+    return {
+      where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  // ---- Stored row -> incident object, as the in-memory processor builds it ----
+  toIncident(row) {
+    const incident = JSON.parse(row.data);
+    // JSON has no NaN, so missing coordinates come back as null
+    if (incident.lat === null) incident.lat = NaN;
+    if (incident.lng === null) incident.lng = NaN;
+    if (row.region !== null) this.incidentRegions.set(incident, row.region);
+    return incident;
+  }
+
+  getIncidentCount() {
+    return this.db.prepare('SELECT COUNT(*) FROM incidents').pluck().get();
+  }
+
+  getIncidents(date, filters = {}) {
+    return this.queryIncidents(date, date, filters);
+  }
+
+  queryIncidents(from, to, filters = {}) {
+    const { where, params } = this.whereClause(from, to, filters);
+    return this.db.prepare(`SELECT data, region FROM incidents ${where} ORDER BY date, id`)
+      .all(params)
+      .map(row => this.toIncident(row));
+  }
+
+  getMetadata() {
+    const metadata = {};
+    for (const field of Object.keys(this.fieldValues)) {
+      const column = quoteIdentifier(field);
+      metadata[TheaterProcessor.METADATA_FIELDS[field]] = this.db
+        .prepare(`SELECT DISTINCT ${column} FROM incidents ORDER BY ${column}`)
+        .pluck()
+        .all();
+    }
+    return metadata;
+  }
+
+  // Groups come out in order of first occurrence by (date, row), the order
+  // the in-memory processor walks incidents in
+  countTypeCategories(from, to, filters, exclude) {
+    const { where, params } = this.whereClause(from, to, filters);
+    const excluded = exclude.length
+      ? `${where ? 'AND' : 'WHERE'} type NOT IN (${exclude.map(() => '?').join(', ')})`
+      : '';
+
+    const rows = this.db.prepare(`
+      SELECT type, category, COUNT(*) AS count FROM incidents ${where} ${excluded}
+      GROUP BY type, category
+      ORDER BY MIN(date || printf('%012d', id))
+    `).all([...params, ...exclude]);
+
+    const counts = {};
+    for (const { type, category, count } of rows) {
+      if (!counts[type]) counts[type] = {};
+      counts[type][category] = count;
+    }
+    return counts;
+  }
+
+  // Other zones need each incident's timestamp converted, so they are
+  // counted from the rows like the in-memory processor does
+  countTimeSlots(from, to, filters, timeZone = this.timeZone) {
+    if (timeZone !== this.timeZone) return super.countTimeSlots(from, to, filters, timeZone);
+
+    const { where, params } = this.whereClause(from, to, filters);
+    return this.db.prepare(`
+      SELECT type,
+             CASE WHEN hour IS NULL THEN NULL ELSE (CAST(strftime('%w', date) AS INTEGER) + 6) % 7 END AS weekday,
+             hour, COUNT(*) AS count
+      FROM incidents ${where}
+      GROUP BY type, weekday, hour
+    `).all(params);
+  }
+
+  countPaths(from, to, filters, fields) {
+    const { where, params } = this.whereClause(from, to, filters);
+    const columns = fields.map(quoteIdentifier).join(', ');
+    const rows    = this.db.prepare(`SELECT ${columns}, COUNT(*) AS count FROM incidents ${where} GROUP BY ${columns}`)
+      .raw()
+      .all(params);
+    return rows.map(row => ({ values: row.slice(0, -1), count: row[row.length - 1] }));
+  }
+
+  countDates(from, to, filters) {
+    const { where, params } = this.whereClause(from, to, filters);
+    const rows = this.db.prepare(`SELECT date, COUNT(*) AS count FROM incidents ${where} GROUP BY date ORDER BY date`)
+      .all(params);
+    return new Map(rows.map(({ date, count }) => [date, count]));
+  }
+
+  countDatesBy(from, to, filters, field) {
+    const { where, params } = this.whereClause(from, to, filters);
+    const rows = this.db.prepare(`
+      SELECT ${quoteIdentifier(field)} AS value, date, COUNT(*) AS count FROM incidents ${where}
+      GROUP BY value, date
+    `).all(params);
+
+    const counts = new Map();
+    for (const { value, date, count } of rows) {
+      if (!counts.has(value)) counts.set(value, new Map());
+      counts.get(value).set(date, count);
+    }
+    return counts;
+  }
+
+  close() {
+    if (this.db && this.db.open) this.db.close();
+  }
+}
+
+function quoteIdentifier(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+module.exports = SqliteTheaterProcessor;
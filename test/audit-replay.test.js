@@ -0,0 +1,73 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const fs     = require('fs');
+const TheaterProcessor       = require('../theater-processor');
+const SqliteTheaterProcessor = require('../sqlite-theater-processor');
+const { STORAGES, toCsv, tempDir, theaterConfig } = require('./helpers');
+
+const ROWS = [
+  { date: '2008-01-01', lat: 33.30, lng: 44.40, type: 'Enemy Action' },
+  { date: '2008-01-02', lat: 36.30, lng: 43.10, type: 'Explosive Hazard' }
+];
+const UPLOAD = { dateTime: '2008-01-05 10:00', lat: 33.35, lng: 44.45, type: 'Enemy Action', category: 'Direct Fire' };
+
+async function load(config) {
+  const Processor = config.storage === 'sqlite' ? SqliteTheaterProcessor : TheaterProcessor;
+  const processor = new Processor('test', config);
+  await processor.loadData();
+  return processor;
+}
+
+// ---- Upload one incident and correct it, then return the config to reload ----
+async function uploadAndCorrect(t, storage) {
+  const config    = theaterConfig(tempDir(t), ROWS, { audit: [], storage });
+  const processor = await load(config);
+  const [{ incident }] = processor.createIncidents([UPLOAD]);
+  processor.correctIncident(incident.id, { ...UPLOAD, type: 'Explosive Hazard' });
+  if (processor.db) processor.db.close();
+  return { config, id: incident.id };
+}
+
+for (const storage of STORAGES) {
+  test(`${storage}: replayed uploads keep their logged id`, async (t) => {
+    const { config, id } = await uploadAndCorrect(t, storage);
+    assert.equal(id, 3);
+
+    // Without its cache file SQLite re-ingests the CSV and replays the log too
+    fs.rmSync(config.sqlitePath, { force: true });
+    const processor = await load(config);
+    t.after(() => processor.db && processor.db.close());
+    assert.equal(processor.getIncident(3).type, 'Explosive Hazard');
+    assert.equal(processor.getIncidentCount(), 3);
+    assert.deepEqual(processor.auditReplay, { applied: 2, skipped: 0, renumbered: 0 });
+
+    // Ids handed out after the replay carry on past it
+    const [{ incident }] = processor.createIncidents([UPLOAD]);
+    assert.equal(incident.id, 4);
+  });
+
+  test(`${storage}: an upload whose id the CSV now uses is renumbered, and its corrections follow`, async (t) => {
+    const { config } = await uploadAndCorrect(t, storage);
+    fs.writeFileSync(config.csvPath, toCsv([...ROWS, { date: '2008-01-03', lat: 30.5, lng: 47.8 }]));
+
+    const processor = await load(config);
+    t.after(() => processor.db && processor.db.close());
+    assert.equal(processor.getIncident(3).date, '2008-01-03');
+    assert.equal(processor.getIncident(4).date, '2008-01-05');
+    assert.equal(processor.getIncident(4).type, 'Explosive Hazard');
+    assert.deepEqual(processor.auditReplay, { applied: 2, skipped: 0, renumbered: 1 });
+  });
+
+  test(`${storage}: a correction whose target changed underneath it is skipped and counted`, async (t) => {
+    const config = theaterConfig(tempDir(t), ROWS, { audit: [], storage });
+    let processor = await load(config);
+    processor.correctIncident(2, { ...UPLOAD, type: 'Enemy Action' });
+    if (processor.db) processor.db.close();
+
+    fs.writeFileSync(config.csvPath, toCsv([ROWS[0], { ...ROWS[1], lat: 36.4 }]));
+    processor = await load(config);
+    t.after(() => processor.db && processor.db.close());
+    assert.equal(processor.getIncident(2).type, 'Explosive Hazard');
+    assert.deepEqual(processor.auditReplay, { applied: 0, skipped: 1, renumbered: 0 });
+  });
+}
@@ -0,0 +1,31 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { STORAGES, loadTheater, squareFeature } = require('./helpers');
+
+// Two regions share a name and one has none; each must keep its own count
+const REGIONS = [
+  squareFeature({ name: 'North' }, [40, 35, 50, 40]),
+  squareFeature({ name: 'North' }, [40, 30, 50, 35]),
+  squareFeature({}, [40, 25, 50, 30])
+];
+
+const ROWS = [
+  { date: '2008-01-01', lat: 37, lng: 44 },
+  { date: '2008-01-01', lat: 38, lng: 44 },
+  { date: '2008-01-02', lat: 32, lng: 44 },
+  { date: '2008-01-02', lat: 27, lng: 44, type: 'Explosive Hazard' },
+  { date: '2008-01-03', lat: 10, lng: 10 }
+];
+
+for (const storage of STORAGES) {
+  test(`${storage}: choropleth counts each region feature separately`, async (t) => {
+    const processor = await loadTheater(t, ROWS, { storage, regions: REGIONS });
+    const data = processor.getChoroplethData('2008-01-01', '2008-01-31');
+
+    assert.equal(data.total, 5);
+    assert.equal(data.unassigned, 1);
+    assert.deepEqual(data.features.map(f => [f.properties.name, f.properties.count]),
+      [['North', 2], ['North', 1], [undefined, 1]]);
+    assert.deepEqual(data.features[2].properties.byType, { 'Explosive Hazard': 1 });
+  });
+}
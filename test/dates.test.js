@@ -0,0 +1,42 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidDate, addDays, daysBetween, dayRange } = require('../dates');
+const { validateRequest } = require('../request-validator');
+const { THEATER_ROUTES }  = require('../api-spec');
+
+// ---- Run a route's validator on a query; the 400 body, or null if it passed ----
+function validate(path, query) {
+  const route = THEATER_ROUTES.find(r => r.path === path);
+  let body = null;
+  const res = { status: () => res, json: (json) => { body = json; } };
+  validateRequest(route)({ params: {}, query }, res, () => {});
+  return body;
+}
+
+test('isValidDate accepts real calendar days only', () => {
+  assert.ok(isValidDate('2020-02-29'));
+  assert.ok(isValidDate('2008-12-31'));
+  assert.ok(!isValidDate('2021-02-29'));
+  assert.ok(!isValidDate('2021-02-30'));
+  assert.ok(!isValidDate('2021-04-31'));
+  assert.ok(!isValidDate('2021-13-01'));
+  assert.ok(!isValidDate('2021-2-3'));
+  assert.ok(!isValidDate(''));
+});
+
+test('day arithmetic crosses month and leap-year ends', () => {
+  assert.equal(addDays('2008-02-28', 1), '2008-02-29');
+  assert.equal(addDays('2008-03-01', -1), '2008-02-29');
+  assert.equal(daysBetween('2008-01-01', '2009-01-01'), 366);
+  assert.equal(daysBetween('2008-01-03', '2008-01-01'), -2);
+  assert.deepEqual(dayRange('2007-12-30', '2008-01-02'), ['2007-12-30', '2007-12-31', '2008-01-01', '2008-01-02']);
+  assert.deepEqual(dayRange('2008-01-02', '2008-01-01'), []);
+});
+
+test('date parameters that match the pattern but name no real day get a 400', () => {
+  const body = validate('/incidents', { from: '2021-02-30', to: '2021-03-01' });
+  assert.equal(body.error, 'Invalid request parameters');
+  assert.deepEqual(body.details, [{ in: 'query', name: 'from', message: '"from" must be a real calendar date' }]);
+
+  assert.equal(validate('/incidents', { from: '2021-02-28', to: '2021-03-01' }), null);
+});
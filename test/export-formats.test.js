@@ -0,0 +1,42 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { EXPORT_FORMATS } = require('../export-formats');
+const TheaterProcessor   = require('../theater-processor');
+const { COLUMNS, loadTheater } = require('./helpers');
+
+const ROWS = [
+  { date: '2008-01-01', lat: 33.3, lng: 44.4 },
+  { date: '2008-01-02', lat: 'x', lng: 'y', type: 'Explosive Hazard' }
+];
+
+const exported = (format, processor) => Array.from(
+  EXPORT_FORMATS[format].serialize(processor.queryIncidents('2008-01-01', '2008-01-31'), processor.exportFields)
+).join('');
+
+test('exports carry the incident id', async (t) => {
+  const processor = await loadTheater(t, ROWS);
+
+  const csv = exported('csv', processor).trim().split('\n');
+  assert.equal(csv[0], 'id,date,time,timestamp,lat,lng,type,category');
+  assert.equal(csv[1].split(',')[0], '1');
+
+  const features = JSON.parse(exported('geojson', processor)).features;
+  assert.deepEqual(features.map(f => f.properties.id), [1, 2]);
+  assert.equal(features[1].geometry, null);
+
+  const rows = exported('ndjson', processor).trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(rows.map(row => row.id), [1, 2]);
+});
+
+test('exports carry the quality markers of theaters with MGRS and boundary data', () => {
+  const processor = new TheaterProcessor('test', {
+    name:         'Test',
+    boundaryPath: 'boundary.json',
+    columns:      { ...COLUMNS, mgrs: 'mgrs' }
+  });
+  assert.deepEqual(processor.exportFields, [
+    'id', 'date', 'time', 'timestamp', 'lat', 'lng',
+    'mgrsPrecision', 'locationSource', 'mgrsMismatch', 'outsideBoundary',
+    'type', 'category'
+  ]);
+});
@@ -0,0 +1,89 @@
+const fs   = require('fs');
+const os   = require('os');
+const path = require('path');
+const TheaterProcessor       = require('../theater-processor');
+const SqliteTheaterProcessor = require('../sqlite-theater-processor');
+
+// Storage modes to run processor tests against; SQLite only when the
+// optional better-sqlite3 module is installed
+const STORAGES = ['memory'];
+try {
+  require('better-sqlite3');
+  STORAGES.push('sqlite');
+} catch (error) {
+  // Memory only
+}
+
+const COLUMNS = {
+  dateTime: 'date_time_occ',
+  lat:      'lat',
+  lng:      'lng',
+  type:     'Incident Type',
+  category: 'Incident Category'
+};
+
+// ---- Square polygon feature for a regions file ----
+function squareFeature(properties, [minLng, minLat, maxLng, maxLat]) {
+  return {
+    type: 'Feature',
+    properties,
+    geometry: {
+      type:        'Polygon',
+      coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]
+    }
+  };
+}
+
+// ---- CSV text from [{ date, time, lat, lng, type, category }] ----
+function toCsv(rows) {
+  const lines = rows.map(({ date, time = '12:00', lat, lng, type = 'Enemy Action', category = 'Direct Fire' }) =>
+    `${date} ${time},${lat},${lng},${type},${category}`);
+  return [Object.values(COLUMNS).join(','), ...lines].join('\n') + '\n';
+}
+
+// ---- Temporary directory removed when the test finishes ----
+function tempDir(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sigacts-test-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// ---- Theater config over `rows` written to `dir` ----
+// `regions` is a list of GeoJSON features; `audit` a list of audit entries.
+function theaterConfig(dir, rows, { regions = null, audit = null, storage = 'memory' } = {}) {
+  const csvPath = path.join(dir, 'incidents.csv');
+  fs.writeFileSync(csvPath, toCsv(rows));
+
+  const config = {
+    name:      'Test',
+    csvPath,
+    storage,
+    sqlitePath: path.join(dir, 'test.sqlite'),
+    timezone:  'UTC',
+    columns:   COLUMNS,
+    defaults:  {},
+    skip:      []
+  };
+
+  if (regions) {
+    config.regions = { path: path.join(dir, 'regions.json'), nameProperty: 'name' };
+    fs.writeFileSync(config.regions.path, JSON.stringify({ type: 'FeatureCollection', features: regions }));
+  }
+  if (audit) {
+    config.auditLogPath = path.join(dir, 'audit.ndjson');
+    fs.writeFileSync(config.auditLogPath, audit.map(entry => JSON.stringify(entry) + '\n').join(''));
+  }
+  return config;
+}
+
+// ---- Loaded processor for `rows`, in the given storage mode ----
+async function loadTheater(t, rows, options = {}) {
+  const config    = theaterConfig(tempDir(t), rows, options);
+  const Processor = config.storage === 'sqlite' ? SqliteTheaterProcessor : TheaterProcessor;
+  const processor = new Processor('test', config);
+  await processor.loadData();
+  if (processor.db) t.after(() => processor.db.close());
+  return processor;
+}
+
+module.exports = { STORAGES, COLUMNS, squareFeature, toCsv, tempDir, theaterConfig, loadTheater };
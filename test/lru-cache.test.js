@@ -0,0 +1,51 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const LruCache = require('../lru-cache');
+
+test('evicts the least recently used entry past maxEntries', () => {
+  const cache = new LruCache(2);
+  cache.set('a', 1);
+  cache.set('b', 2);
+  cache.get('a');
+  cache.set('c', 3);
+
+  assert.equal(cache.get('b'), undefined);
+  assert.equal(cache.get('a'), 1);
+  assert.equal(cache.get('c'), 3);
+  assert.equal(cache.hits, 3);
+  assert.equal(cache.misses, 1);
+});
+
+test('evicts by total size and never stores a value larger than maxSize', () => {
+  const cache = new LruCache(100, 10);
+  cache.set('a', 'a', 4);
+  cache.set('b', 'b', 4);
+  cache.set('c', 'c', 4);
+
+  assert.equal(cache.size, 2);
+  assert.equal(cache.get('a'), undefined);
+  assert.equal(cache.totalSize, 8);
+
+  cache.set('huge', 'huge', 11);
+  assert.equal(cache.get('huge'), undefined);
+  assert.equal(cache.size, 2);
+
+  // Replacing an entry releases the old size
+  cache.set('b', 'b', 1);
+  assert.equal(cache.totalSize, 5);
+});
+
+test('estimateSize stays close to the JSON length of typical results', () => {
+  const days   = Array.from({ length: 2000 }, (_, i) => `2008-01-${String(i % 28 + 1).padStart(2, '0')}`);
+  const result = {
+    from:   '2008-01-01',
+    groups: { 'Enemy Action': 120, 'Explosive Hazard': 45 },
+    series: [{ key: 'All', dates: days, counts: days.map((_, i) => i % 97), rollingAvg: days.map(() => null) }]
+  };
+  const ratio = LruCache.estimateSize(result) / JSON.stringify(result).length;
+  assert.ok(ratio > 0.8 && ratio < 1.25, `estimate off by ${ratio}`);
+
+  assert.equal(LruCache.estimateSize([]), 2);
+  assert.equal(LruCache.estimateSize({}), 2);
+  assert.equal(LruCache.estimateSize(null), 4);
+});
@@ -0,0 +1,31 @@
+const test   = require('node:test');
+const assert = require('node:assert/strict');
+const { STORAGES, loadTheater } = require('./helpers');
+
+// Ids follow CSV order; dates and grid cells deliberately don't
+const ROWS = [
+  { date: '2008-01-03', lat: 33.30, lng: 44.40, type: 'Enemy Action' },
+  { date: '2008-01-01', lat: 36.30, lng: 43.10, type: 'Explosive Hazard' },
+  { date: '2008-01-01', lat: 33.31, lng: 44.41, type: 'Enemy Action' },
+  { date: '2008-01-02', lat: 30.50, lng: 47.80, type: 'Explosive Hazard' }
+];
+
+const TREND_OPTIONS = { groupBy: 'type', method: 'zscore', window: 7, baselineDays: 28, threshold: 3, minCount: 5 };
+
+for (const storage of STORAGES) {
+  test(`${storage}: spatial queries return incidents by date, then id`, async (t) => {
+    const processor = await loadTheater(t, ROWS, { storage });
+    const ids = filters => processor.queryIncidents('2008-01-01', '2008-01-31', filters).map(i => i.id);
+
+    assert.deepEqual(ids({}), [2, 3, 4, 1]);
+    assert.deepEqual(ids({ bbox: [40, 29, 50, 38] }), [2, 3, 4, 1]);
+    assert.deepEqual(ids({ near: { lat: 33.3, lng: 44.4, radiusKm: 5 } }), [3, 1]);
+  });
+
+  test(`${storage}: trend groups with equal totals are ordered by key`, async (t) => {
+    const processor = await loadTheater(t, ROWS, { storage });
+    const { series } = processor.getTrendData('2008-01-01', '2008-01-31', {}, TREND_OPTIONS);
+
+    assert.deepEqual(series.map(s => [s.key, s.total]), [['All', 4], ['Enemy Action', 2], ['Explosive Hazard', 2]]);
+  });
+}
@@ -0,0 +1,1099 @@
+const fs  = require('fs');
+const csv = require('csv-parser');
+const { SpatialIndex, inBBox, radiusBBox, haversineKm } = require('./spatial-index');
+const { hexbin, clusterCellSize } = require('./clustering');
+const { hotspotAnalysis } = require('./hotspots');
+const { buildNetwork, NETWORK_LEVELS, UNKNOWN_VALUE } = require('./network');
+const RegionLocator = require('./region-locator');
+const { aggregate, toSeries, calendarGrid } = require('./aggregation');
+const { facetCounts } = require('./search');
+const { trendSeries, trendLookback } = require('./trends');
+const { isValidDate, addDays, daysBetween, dayRange } = require('./dates');
+const { parseMgrs } = require('./mgrs');
+const { zonedTimestamp, weekdayHour, resolveTimeZone, WEEKDAYS } = require('./timezones');
+const QualityReport = require('./quality-report');
+const AuditLog      = require('./audit-log');
+const LruCache      = require('./lru-cache');
+const { IngestError, recordToRow } = require('./ingest');
+
+// Slack on top of the grid square's own size before decimal coordinates
+// and the MGRS reference are considered to disagree
+const MGRS_TOLERANCE_M = 100;
+
+// Columns that locate an incident rather than describe it
+const LOCATION_COLUMNS = ['dateTime', 'lat', 'lng', 'mgrs'];
+
+// Metadata lists exposed by getMetadata(), keyed by the incident field they index.
+// A theater only reports the lists whose field it maps.
+const METADATA_FIELDS = {
+  type:      'types',
+  category:  'categories',
+  province:  'provinces',
+  forceType: 'forceTypes'
+};
+
+const TIME_RE = /^([01]?\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// Fields an uploaded record must fill with a value the dataset already uses
+const VALIDATED_FIELDS = ['type', 'category'];
+
+// Dashboard defaults, overridable per request
+const DEFAULT_TREEMAP_EXCLUDE = ['Friendly Fire'];
+const DEFAULT_RADAR_SERIES    = ['Enemy Action', 'Explosive Hazard'];
+
+// Aggregate queries memoized per processor, keyed by their arguments. The
+// data only changes on reload (which builds a new processor) or through
+// ingestion (which clears the cache).
+const MEMOIZED_METHODS = [
+  'getAggregateData',
+  'getClusters',
+  'getTreemapData',
+  'getRadarData',
+  'getNetworkData',
+  'getHourOfWeekData',
+  'getHeatmapData',
+  'getTrendData',
+  'getChoroplethData'
+];
+const AGGREGATE_CACHE_SIZE = 200;
+// Cache budget in (estimated) characters of JSON per theater. Cache keys come
+// from the query string, so the entry count alone doesn't bound the memory held.
+const AGGREGATE_CACHE_CHARS = 16 * 1024 * 1024;
+
+// Radar time-of-day buckets, each running from its `start` hour to the
+// next bucket's. A theater can replace them with its own `radarBuckets`.
+const RADAR_BUCKETS = [
+  { label: 'Early Night (00:00-03:59)',     start: 0  },
+  { label: 'Early Morning (04:00-08:59)',   start: 4  },
+  { label: 'Mid-Morning (09:00-11:59)',     start: 9  },
+  { label: 'Early Afternoon (12:00-14:59)', start: 12 },
+  { label: 'Late Afternoon (15:00-17:59)',  start: 15 },
+  { label: 'Evening (18:00-21:59)',         start: 18 },
+  { label: 'Late Night (22:00-23:59)',      start: 22 }
+];
+
+// Response keys the frontend already uses for the default radar series
+const RADAR_SERIES_KEYS = {
+  'Enemy Action':     'enemy',
+  'Explosive Hazard': 'explosive'
+};
+
+// Row-skip rules a theater can opt into via its `skip` config
+const SKIP_RULES = {
+  // CSV exports that were concatenated repeat the header mid-file
+  headerRows:    (row, cols) => row[cols.type] === cols.type || row[cols.category] === cols.category,
+  missingType:   (row, cols) => !row[cols.type] || row[cols.type] === 'Unknown',
+  invalidCoords: (row, cols, incident) => isNaN(incident.lat) || isNaN(incident.lng)
+};
+
+class TheaterProcessor {
+  constructor(id, config) {
+    this.id           = id;
+    this.config       = config;
+    this.name         = config.name;
+    this.allIncidents = [];
+    this.dateIndex    = new Map(); // Maps YYYY-MM-DD -> incident array
+    this.dates        = [];
+    this.spatialIndex = new SpatialIndex();
+    this.boundary     = null;
+    this.regions      = null;      // Admin-level boundaries, if configured
+    this.heatmapData  = null;      // Precomputed heatmap override, if present and valid
+    this.isLoaded     = false;
+    this.lastId       = 0;         // Highest incident id handed out so far
+    this.incidentsById = new Map();
+    this.audit        = config.auditLogPath ? new AuditLog(config.auditLogPath) : null;
+    this.modifiedAt   = null;      // Last ingestion change, if any since load
+    this.auditReplay  = null;      // { applied, skipped, renumbered } from the last load
+
+    // Zone the source's date/time column is in, for incident timestamps
+    this.timeZone = resolveTimeZone(config.timezone || 'UTC');
+    if (!this.timeZone) {
+      throw new Error(`Unknown time zone "${config.timezone}" for ${config.name} (use an IANA name such as Asia/Baghdad)`);
+    }
+
+    // Locators built from the boundary files before the CSV is read
+    this.boundaryLocator = null;
+    this.regionLocator   = null;
+    this.incidentRegions = new WeakMap(); // incident -> index of the located region feature
+    this.quality = new QualityReport();
+
+    // One Set per metadata list this theater supports. Province is also
+    // available when it can be derived from admin boundaries.
+    this.fieldValues = {};
+    for (const field of Object.keys(METADATA_FIELDS)) {
+      const derived = field === 'province' && config.regions;
+      if (config.columns[field] || derived) this.fieldValues[field] = new Set();
+    }
+
+    // Incident fields that can be used as equality filters
+    this.filterFields = Object.keys(this.fieldValues);
+
+    // Every descriptive incident field, for group-by aggregation
+    this.attributeFields = Object.keys(config.columns).filter(f => !LOCATION_COLUMNS.includes(f));
+    if (this.fieldValues.province && !this.attributeFields.includes('province')) {
+      this.attributeFields.push('province');
+    }
+
+    // Column order for CSV / NDJSON / GeoJSON exports. `id` and the quality
+    // markers let exported rows be matched back to /incidents and corrections;
+    // a marker is blank (or left out of JSON) where it doesn't apply.
+    this.exportFields = [
+      'id', 'date', 'time', 'timestamp', 'lat', 'lng',
+      ...(config.columns.mgrs ? ['mgrsPrecision', 'locationSource', 'mgrsMismatch'] : []),
+      ...(config.boundaryPath ? ['outsideBoundary'] : []),
+      ...this.attributeFields
+    ];
+
+    // Wrap the aggregate queries (including subclass overrides) in the cache.
+    // Callers share the cached objects, so they must not modify them.
+    this.aggregateCache = new LruCache(AGGREGATE_CACHE_SIZE, AGGREGATE_CACHE_CHARS);
+    for (const method of MEMOIZED_METHODS) {
+      const compute = this[method];
+      this[method] = (...args) => {
+        const key    = `${method}:${JSON.stringify(args)}`;
+        const cached = this.aggregateCache.get(key);
+        if (cached !== undefined) return cached;
+
+        const result = compute.apply(this, args);
+        this.aggregateCache.set(key, result, LruCache.estimateSize(result));
+        return result;
+      };
+    }
+  }
+
+  // Strip N/E suffixes and return a plain float
+  // e.g. '35.83523N' -> 35.83523,  '063.84149E' -> 63.84149
+  // Plain decimal columns pass through unchanged.
+  parseCoord(str) {
+    return parseFloat(String(str).replace(/[NnEeSsWw]/g, ''));
+  }
+
+  // Convert M/D/YYYY to YYYY-MM-DD; anything else passes through unchanged
+  formatDate(datePart) {
+    if (datePart.includes('/')) {
+      const parts = datePart.split('/');
+      if (parts.length === 3) {
+        const month = parts[0].padStart(2, '0');
+        const day   = parts[1].padStart(2, '0');
+        const year  = parts[2];
+        return `${year}-${month}-${day}`;
+      }
+    }
+    return datePart;
+  }
+
+  // ---- Turn one CSV row into an incident, or null if it is rejected ----
+  // Every rejection, repair and flag is recorded on `quality` (the load-time
+  // report by default) against the row opened with quality.beginRow().
+  // The incident's `id` is left for the caller to assign once it is kept.
+  normalizeRow(row, quality = this.quality) {
+    const cols     = this.config.columns;
+    const defaults = this.config.defaults || {};
+
+    const dateTime = row[cols.dateTime] || '';
+    const datePart = dateTime.split(' ')[0];
+    const timePart = dateTime.split(' ')[1] || '';
+
+    const incident = {
+      id:   null,
+      lat:  this.parseCoord(row[cols.lat]),
+      lng:  this.parseCoord(row[cols.lng]),
+      date: this.formatDate(datePart)
+    };
+
+    // MGRS fills missing decimals before the coordinate skip rule runs
+    const rawMgrs = cols.mgrs ? String(row[cols.mgrs] || '').trim() : '';
+    const grid    = rawMgrs ? parseMgrs(rawMgrs) : null;
+    const hasDecimals = isFinite(incident.lat) && isFinite(incident.lng);
+    if (grid && !hasDecimals) {
+      incident.lat = grid.lat;
+      incident.lng = grid.lng;
+    }
+
+    // ---- Rejections ----
+    for (const rule of this.config.skip || []) {
+      if (SKIP_RULES[rule](row, cols, incident)) {
+        quality.record(rule);
+        return null;
+      }
+    }
+    if (!isValidDate(incident.date)) {
+      quality.record('invalidDate', { field: cols.dateTime, value: dateTime });
+      return null;
+    }
+
+    // ---- Location repairs and flags ----
+    if (grid && !hasDecimals) {
+      incident.locationSource = 'mgrs';
+      quality.record('coordsFromMgrs', { field: cols.mgrs, value: rawMgrs });
+    } else if (grid) {
+      const offsetM = haversineKm(incident.lat, incident.lng, grid.lat, grid.lng) * 1000;
+      if (offsetM > grid.precisionMeters * Math.SQRT2 + MGRS_TOLERANCE_M) {
+        incident.mgrsMismatch = true;
+        quality.record('mgrsMismatch', { field: cols.mgrs, value: rawMgrs, offsetM: Math.round(offsetM) });
+      }
+    }
+    if (rawMgrs && !grid) {
+      quality.record('invalidMgrs', { field: cols.mgrs, value: rawMgrs });
+    }
+    if (!isFinite(incident.lat) || !isFinite(incident.lng)) {
+      quality.record('missingCoords', { field: cols.lat, value: row[cols.lat] });
+    }
+
+    // ---- Attribute repairs -- blank and literal 'NULL' fall back to defaults ----
+    for (const field of Object.keys(cols)) {
+      if (LOCATION_COLUMNS.includes(field)) continue;
+
+      const raw = String(row[cols[field]] || '').trim();
+      if (!raw || raw.toUpperCase() === 'NULL') {
+        quality.record(raw ? 'nullValue' : 'blankValue', { field: cols[field], value: raw });
+        incident[field] = defaults[field] || 'N/A';
+      } else {
+        incident[field] = raw;
+      }
+    }
+
+    this.assignRegion(incident);
+
+    if (timePart && !TIME_RE.test(timePart)) {
+      quality.record('invalidTime', { field: cols.dateTime, value: dateTime });
+      incident.time = '';
+    } else {
+      incident.time = timePart;
+    }
+    incident.timestamp = zonedTimestamp(incident.date, incident.time, this.timeZone);
+    if (cols.mgrs) incident.mgrsPrecision = grid ? grid.precision : null;
+
+    if (this.boundaryLocator && isFinite(incident.lat) && isFinite(incident.lng) &&
+        !this.boundaryLocator.contains(incident.lng, incident.lat)) {
+      incident.outsideBoundary = true;
+      quality.record('outsideBoundary', { lat: incident.lat, lng: incident.lng });
+    }
+
+    return incident;
+  }
+
+  // ---- Locate the incident's admin region; fill province when the CSV has none ----
+  // A province the CSV already provides is kept as-is, but the located region
+  // is still remembered so choropleth counts line up with the region polygons.
+  assignRegion(incident) {
+    const region = this.regionLocator && this.regionLocator.find(incident.lng, incident.lat);
+    if (region) this.incidentRegions.set(incident, region.index);
+
+    if (!this.fieldValues.province) return;
+    if (incident.province && incident.province !== 'N/A') return;
+    incident.province = (region && region.name) || 'N/A';
+  }
+
+  // ---- Add a normalized incident to the lookup indexes ----
+  indexIncident(incident) {
+    this.incidentsById.set(incident.id, incident);
+    for (const field of Object.keys(this.fieldValues)) {
+      this.fieldValues[field].add(incident[field]);
+    }
+
+    if (!this.dateIndex.has(incident.date)) {
+      this.dateIndex.set(incident.date, []);
+    }
+    this.dateIndex.get(incident.date).push(incident);
+
+    this.spatialIndex.insert(incident);
+  }
+
+  // ---- Load the boundary files, then index the CSV and the optional heatmap ----
+  async loadData() {
+    console.log(`📊 Loading ${this.name} SIGACTS data...`);
+
+    // Boundaries come first so each row can be located as it streams in
+    this.loadBoundaries();
+
+    const incidents = [];
+    await this.readCsv((incident) => {
+      incidents.push(incident);
+      this.indexIncident(incident);
+    });
+
+    this.allIncidents = incidents;
+    // Sort dates as strings (YYYY-MM-DD format sorts correctly)
+    this.dates = Array.from(this.dateIndex.keys()).sort();
+
+    if (this.audit) this.replayAuditLog(this.audit.read());
+    this.logLoadSummary(this.getMetadata());
+
+    this.loadHeatmapOverride();
+    this.isLoaded = true;
+  }
+
+  // ---- Stream the CSV through normalizeRow, handing each kept incident to `onIncident` ----
+  readCsv(onIncident) {
+    return new Promise((resolve, reject) => {
+      let rowNumber = 1; // Line 1 is the header
+
+      fs.createReadStream(this.config.csvPath)
+        .on('error', reject)
+        .pipe(csv())
+        .on('data', (row) => {
+          this.quality.beginRow(++rowNumber, row);
+          const incident = this.normalizeRow(row);
+          this.quality.endRow();
+          if (!incident) return;
+
+          incident.id = ++this.lastId;
+          onIncident(incident);
+        })
+        .on('end', resolve)
+        .on('error', reject);
+    });
+  }
+
+  // ---- Startup log lines once the incidents are in ----
+  logLoadSummary(metadata) {
+    const sizes = Object.entries(metadata)
+      .map(([list, values]) => `${capitalize(list)}: ${values.length}`)
+      .join(', ');
+    console.log(`✅ Loaded ${this.getIncidentCount()} ${this.name} incidents`);
+    console.log(`📅 Date range: ${this.dates[0]} to ${this.dates[this.dates.length - 1]}`);
+    console.log(`🏷️  ${sizes}`);
+    console.log(`🧪 Data quality: ${this.quality.summary()}`);
+  }
+
+  // ---- Re-apply logged uploads and corrections on top of the freshly read CSV ----
+  // Uploads keep the id they were logged with. If the CSV has grown into
+  // that id, the upload gets the next free one, and later corrections to it
+  // follow. A correction is only replayed while its target still matches
+  // what it replaced; if the CSV changed underneath it, it is skipped rather
+  // than applied to the wrong incident. The counts are kept in
+  // `auditReplay` for /api/theaters.
+  replayAuditLog(entries) {
+    const renumbered = new Map(); // logged id -> id the upload got instead
+    let applied = 0;
+    let skipped = 0;
+
+    for (const entry of entries) {
+      const incident = this.normalizeRow(entry.row, new QualityReport());
+      const id       = renumbered.has(entry.id) ? renumbered.get(entry.id) : entry.id;
+      const current  = entry.action === 'update' ? this.getIncident(id) : null;
+
+      if (!incident || (entry.action === 'update' && !sameIncident(current, entry.previous))) {
+        skipped++;
+        continue;
+      }
+      if (entry.action === 'create') {
+        if (Number.isInteger(id) && id > 0 && !this.getIncident(id)) {
+          incident.id = id;
+        } else {
+          incident.id = this.lastId + 1;
+          renumbered.set(entry.id, incident.id);
+        }
+        this.lastId = Math.max(this.lastId, incident.id);
+        this.storeIncident(incident);
+      } else {
+        incident.id = id;
+        this.replaceStoredIncident(current, incident);
+      }
+      applied++;
+    }
+
+    this.auditReplay = { applied, skipped, renumbered: renumbered.size };
+    if (applied || skipped) {
+      console.log(`📝 Replayed ${applied} ${this.name} audit log changes` +
+        `${skipped ? `, skipped ${skipped} that no longer apply` : ''}` +
+        `${renumbered.size ? `, gave ${renumbered.size} uploads new ids (the CSV now uses theirs)` : ''}`);
+    }
+  }
+
+  // ---- Read the precomputed heatmap JSON, keeping it only if it is well-formed ----
+  // A missing, empty or malformed file is not fatal -- the heatmap is then
+  // computed from the incidents instead.
+  loadHeatmapOverride() {
+    const { heatmapPath } = this.config;
+    if (!heatmapPath || !fs.existsSync(heatmapPath)) return;
+
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(heatmapPath, 'utf8'));
+    } catch (error) {
+      console.warn(`⚠️  Ignoring ${this.name} heatmap override ${heatmapPath}: ${error.message}`);
+      return;
+    }
+
+    const valid = data && Array.isArray(data.dates) && Array.isArray(data.counts) &&
+      data.dates.length > 0 && data.dates.length === data.counts.length &&
+      data.dates.every(d => /^\d{4}-\d{2}-\d{2}$/.test(d)) &&
+      data.counts.every(c => Number.isFinite(c) && c >= 0);
+    if (!valid) {
+      console.warn(`⚠️  Ignoring ${this.name} heatmap override ${heatmapPath}: expected matching non-empty dates/counts arrays`);
+      return;
+    }
+
+    this.heatmapData = data;
+    console.log(`📊 Loaded ${this.name} heatmap override (${data.dates[0]} to ${data.dates[data.dates.length - 1]})`);
+  }
+
+  // ---- Read the country outline and admin regions, if present ----
+  loadBoundaries() {
+    const { boundaryPath, regions } = this.config;
+
+    if (boundaryPath && fs.existsSync(boundaryPath)) {
+      this.boundary        = JSON.parse(fs.readFileSync(boundaryPath, 'utf8'));
+      this.boundaryLocator = new RegionLocator(this.boundary);
+      console.log(`🗺️  Loaded ${this.name} boundary GeoJSON`);
+    }
+
+    if (regions && fs.existsSync(regions.path)) {
+      this.regions       = JSON.parse(fs.readFileSync(regions.path, 'utf8'));
+      this.regionLocator = new RegionLocator(this.regions, regions.nameProperty);
+      console.log(`🗺️  Loaded ${this.regionLocator.regions.length} ${this.name} admin regions`);
+    } else if (regions) {
+      console.log(`⚠️  No ${this.name} admin regions at ${regions.path} -- provinces come from the CSV only`);
+    }
+  }
+
+  // ===== INGESTION =====
+
+  // ---- Normalize and validate uploaded records ----
+  // Records go through the same normalizeRow() pipeline as the CSV, and
+  // must reuse a known type and category. Throws an IngestError listing
+  // every bad record; otherwise returns { row, incident, warnings } per
+  // record, where warnings are the repairs and flags normalizeRow applied.
+  prepareRecords(records) {
+    const report   = new QualityReport();
+    const prepared = [];
+    const errors   = [];
+
+    records.forEach((record, i) => {
+      const { row, unknown } = recordToRow(record, this.config.columns);
+
+      report.beginRow(i + 1, null);
+      const incident   = this.normalizeRow(row, report);
+      const { issues } = report.endRow();
+
+      const problems = issues.filter(issue => issue.severity === 'rejected').map(issue => issue.description);
+      if (unknown.length) problems.push(`Unknown fields: ${unknown.join(', ')}`);
+      if (incident) {
+        for (const field of VALIDATED_FIELDS) {
+          if (this.fieldValues[field] && !this.isKnownValue(field, incident[field])) {
+            problems.push(`Unknown ${field} "${incident[field]}"`);
+          }
+        }
+      }
+
+      if (problems.length) {
+        errors.push({ record: i + 1, errors: problems });
+      } else {
+        prepared.push({ row, incident, warnings: issues });
+      }
+    });
+
+    if (errors.length) {
+      throw new IngestError(`${errors.length} of ${records.length} records failed validation -- nothing was stored`, errors);
+    }
+    return prepared;
+  }
+
+  // ---- Add new incidents; all-or-nothing ----
+  // `context` (source, client, apiKey) is recorded on each audit log entry.
+  createIncidents(records, context = {}) {
+    return this.prepareRecords(records).map(({ row, incident, warnings }) => {
+      incident.id = ++this.lastId;
+      this.commitChange({ action: 'create', id: incident.id, ...context, row, incident },
+        () => this.storeIncident(incident));
+      this.dataChanged();
+      return { incident, warnings };
+    });
+  }
+
+  // ---- Replace one incident with a corrected record; null if the id is unknown ----
+  correctIncident(id, record, context = {}) {
+    const previous = this.getIncident(id);
+    if (!previous) return null;
+
+    const [{ row, incident, warnings }] = this.prepareRecords([record]);
+    incident.id = id;
+    this.commitChange({ action: 'update', id, ...context, row, previous, incident },
+      () => this.replaceStoredIncident(previous, incident));
+    this.dataChanged();
+    return { incident, warnings };
+  }
+
+  // ---- Drop cached aggregates after an ingestion change ----
+  dataChanged() {
+    this.aggregateCache.clear();
+    this.modifiedAt = new Date();
+  }
+
+  // ---- Log a change, then apply it ----
+  // The audit entry is written first, so a change that is live is always
+  // in the log that the next load replays.
+  commitChange(entry, apply) {
+    this.audit.append(entry);
+    apply();
+  }
+
+  // ---- Index a new incident ----
+  storeIncident(incident) {
+    this.allIncidents.push(incident);
+    this.indexIncident(incident);
+    this.addDate(incident.date);
+  }
+
+  // ---- Swap an indexed incident for its corrected version ----
+  replaceStoredIncident(previous, incident) {
+    this.allIncidents[this.allIncidents.indexOf(previous)] = incident;
+
+    this.spatialIndex.remove(previous);
+    this.spatialIndex.insert(incident);
+    this.incidentsById.set(incident.id, incident);
+    for (const field of Object.keys(this.fieldValues)) {
+      this.fieldValues[field].add(incident[field]);
+    }
+
+    // A correction on the same day keeps its place in that day's list
+    const sameDay = this.dateIndex.get(previous.date);
+    if (incident.date === previous.date) {
+      sameDay[sameDay.indexOf(previous)] = incident;
+      return;
+    }
+
+    sameDay.splice(sameDay.indexOf(previous), 1);
+    if (!sameDay.length) {
+      this.dateIndex.delete(previous.date);
+      this.dates.splice(this.findDateIndex(previous.date), 1);
+    }
+    if (!this.dateIndex.has(incident.date)) this.dateIndex.set(incident.date, []);
+    this.dateIndex.get(incident.date).push(incident);
+    this.addDate(incident.date);
+  }
+
+  // ---- Insert a date into the sorted dates array if it is new ----
+  addDate(date) {
+    const i = this.findDateIndex(date);
+    if (this.dates[i] !== date) this.dates.splice(i, 0, date);
+  }
+
+  // ---- True when some incident already uses `value` for `field` ----
+  isKnownValue(field, value) {
+    return this.fieldValues[field].has(value);
+  }
+
+  // ---- One incident by id, or null ----
+  getIncident(id) {
+    return this.incidentsById.get(id) || null;
+  }
+
+  // ---- Get all available dates ----
+  getDates() {
+    return this.dates;
+  }
+
+  // ---- Number of loaded incidents ----
+  getIncidentCount() {
+    return this.allIncidents.length;
+  }
+
+  // ---- Release anything held outside the JS heap (nothing, in memory) ----
+  close() {}
+
+  // ---- Get incidents for a specific date with optional filters ----
+  getIncidents(date, filters = {}) {
+    const incidents = this.dateIndex.get(date) || [];
+    if (!this.hasFilters(filters)) return incidents;
+    return incidents.filter(i => this.matchesFilters(i, filters));
+  }
+
+  // ---- Get incidents across an inclusive date range with optional filters and pagination ----
+  getIncidentsInRange(from, to, filters = {}, { offset = 0, limit = 500 } = {}) {
+    const matches = this.queryIncidents(from, to, filters);
+    return {
+      total:     matches.length,
+      incidents: matches.slice(offset, offset + limit)
+    };
+  }
+
+  // ---- Every incident in an inclusive date range that passes the filters ----
+  // Spatial queries start from the grid index and then narrow by date;
+  // everything else walks the sorted dates array from the first date >= from,
+  // so only the days inside the range are touched.
+  queryIncidents(from, to, filters = {}) {
+    if (filters.bbox || filters.near) {
+      // Date, then id -- the order the date index (and SQLite) returns
+      return this.spatialCandidates(filters)
+        .filter(i => i.date >= from && i.date <= to && this.matchesFilters(i, filters))
+        .sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : a.id - b.id));
+    }
+
+    const matches = [];
+    for (let i = this.findDateIndex(from); i < this.dates.length && this.dates[i] <= to; i++) {
+      for (const incident of this.getIncidents(this.dates[i], filters)) matches.push(incident);
+    }
+    return matches;
+  }
+
+  // ---- Search -- incidents passing every predicate, paginated, with facets ----
+  // `filters` narrows by index first (spatial / exact attribute filters);
+  // `predicates` are the compiled search matchers from search.js.
+  searchIncidents(from, to, filters = {}, predicates = [], { offset = 0, limit = 500, facetLimit = 20 } = {}) {
+    const matches = this.queryIncidents(from, to, filters)
+      .filter(incident => predicates.every(p => p(incident)));
+
+    return {
+      total:     matches.length,
+      facets:    facetCounts(matches, this.attributeFields, facetLimit),
+      incidents: matches.slice(offset, offset + limit)
+    };
+  }
+
+  // ---- Generic group-by over incident fields and time buckets ----
+  // options: { groupBy: [field], interval, metric, format: 'table' | 'series' }
+  getAggregateData(from, to, filters = {}, options = {}) {
+    const incidents = this.queryIncidents(from, to, filters);
+    const rows      = aggregate(incidents, options);
+
+    if (options.format === 'series') {
+      return { total: incidents.length, ...toSeries(rows, options) };
+    }
+    return { total: incidents.length, rows };
+  }
+
+  // ---- Hex-bin clusters for a map zoom level ----
+  getClusters(from, to, filters, zoom) {
+    const cellSize = clusterCellSize(zoom);
+    const bins     = hexbin(this.queryIncidents(from, to, filters), cellSize);
+    return {
+      zoom,
+      cellSize,
+      total: bins.reduce((sum, bin) => sum + bin.count, 0),
+      bins
+    };
+  }
+
+  // ---- Hot and cold spots over a grid, see hotspots.js ----
+  // The study area is the slice's bbox or radius when one is given, else
+  // the country outline, else the extent of the matching incidents.
+  getHotspots(from, to, filters = {}, options = {}) {
+    const incidents = this.queryIncidents(from, to, filters);
+
+    let area = filters.bbox;
+    if (!area && filters.near) {
+      area = radiusBBox(filters.near.lat, filters.near.lng, filters.near.radiusKm);
+    }
+    if (!area && this.boundaryLocator && this.boundaryLocator.regions.length) {
+      area = this.boundaryLocator.regions.map(r => r.bbox).reduce((a, b) => [
+        Math.min(a[0], b[0]), Math.min(a[1], b[1]), Math.max(a[2], b[2]), Math.max(a[3], b[3])
+      ]);
+    }
+    if (!area) area = extentOf(incidents);
+
+    return { from, to, ...hotspotAnalysis(incidents, area, options) };
+  }
+
+  // ---- Narrowest index lookup for the spatial part of a filter ----
+  spatialCandidates(filters) {
+    if (filters.near) {
+      const { lat, lng, radiusKm } = filters.near;
+      return this.spatialIndex.within(lat, lng, radiusKm);
+    }
+    return this.spatialIndex.search(filters.bbox);
+  }
+
+  hasFilters(filters) {
+    return Boolean(filters.bbox || filters.near) ||
+      this.filterFields.some(field => filters[field] && filters[field] !== 'all');
+  }
+
+  // ---- Attribute equality plus optional bbox / radius tests ----
+  matchesFilters(incident, filters) {
+    for (const field of this.filterFields) {
+      const value = filters[field];
+      if (value && value !== 'all' && incident[field] !== value) return false;
+    }
+
+    if (filters.bbox && !inBBox(incident, ...filters.bbox)) return false;
+
+    if (filters.near) {
+      const { lat, lng, radiusKm } = filters.near;
+      if (!(haversineKm(lat, lng, incident.lat, incident.lng) <= radiusKm)) return false;
+    }
+
+    return true;
+  }
+
+  // ---- Binary search for the position of the first date >= target ----
+  findDateIndex(target) {
+    let lo = 0;
+    let hi = this.dates.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.dates[mid] < target) lo = mid + 1;
+      else                          hi = mid;
+    }
+    return lo;
+  }
+
+  // ---- Get metadata -- only the lists this theater's columns support ----
+  getMetadata() {
+    const metadata = {};
+    for (const [field, values] of Object.entries(this.fieldValues)) {
+      metadata[METADATA_FIELDS[field]] = Array.from(values).sort();
+    }
+    return metadata;
+  }
+
+  // ---- Treemap data -- type -> category counts, excluded types left out ----
+  // Excluded types (Friendly Fire by default) are still visible on the map.
+  getTreemapData(from, to, filters = {}, { exclude = DEFAULT_TREEMAP_EXCLUDE } = {}) {
+    const treemapData = this.countTypeCategories(from, to, filters, exclude);
+
+    // Transform into ApexCharts format
+    const series = [];
+    for (const incidentType in treemapData) {
+      const cats      = treemapData[incidentType];
+      const chartData = [];
+      for (const category in cats) {
+        chartData.push({ x: category, y: cats[category] });
+      }
+      series.push({ name: incidentType, data: chartData });
+    }
+
+    return { series };
+  }
+
+  // ---- type -> category -> count for a slice, leaving out excluded types ----
+  countTypeCategories(from, to, filters, exclude) {
+    const counts = {};
+    for (const incident of this.queryIncidents(from, to, filters)) {
+      const { type, category } = incident;
+      if (exclude.includes(type)) continue;
+
+      if (!counts[type]) counts[type] = {};
+      counts[type][category] = (counts[type][category] || 0) + 1;
+    }
+    return counts;
+  }
+
+  // ---- Radar data -- time-of-day patterns, one series per requested type ----
+  // Series are keyed by RADAR_SERIES_KEYS where one exists ('enemy',
+  // 'explosive'), otherwise by the type name itself. Hours are read in
+  // `timeZone` (default: the theater's own).
+  getRadarData(from, to, filters = {}, { series = DEFAULT_RADAR_SERIES, buckets = this.radarBuckets(), timeZone } = {}) {
+    const ordered = buckets.slice().sort((a, b) => a.start - b.start);
+    const bucketOf = hour => {
+      // Hours before the first start belong to the last bucket, which wraps past midnight
+      for (let i = ordered.length - 1; i >= 0; i--) {
+        if (hour >= ordered[i].start) return ordered[i].label;
+      }
+      return ordered[ordered.length - 1].label;
+    };
+
+    const result = {};
+    for (const type of series) {
+      result[RADAR_SERIES_KEYS[type] || type] = new Map(buckets.map(({ label }) => [label, 0]));
+    }
+    for (const { type, hour, count } of this.countTimeSlots(from, to, filters, timeZone)) {
+      const values = series.includes(type) && hour !== null && result[RADAR_SERIES_KEYS[type] || type];
+      if (!values) continue;
+      const label = bucketOf(hour);
+      values.set(label, values.get(label) + count);
+    }
+
+    for (const [key, values] of Object.entries(result)) {
+      result[key] = { categories: Array.from(values.keys()), values: Array.from(values.values()) };
+    }
+    return result;
+  }
+
+  // ---- The theater's `radarBuckets`, or the default ones ----
+  radarBuckets() {
+    return this.config.radarBuckets || RADAR_BUCKETS;
+  }
+
+  // ---- Hour-of-week heatmap -- incidents per weekday and hour of day ----
+  // `counts` is 7 rows (Monday first) of 24 hours; `series` is the same grid
+  // in ApexCharts heatmap form. Incidents without a time are only counted
+  // in `untimed`.
+  getHourOfWeekData(from, to, filters = {}, { timeZone = this.timeZone } = {}) {
+    const counts = WEEKDAYS.map(() => new Array(24).fill(0));
+    let total    = 0;
+    let untimed  = 0;
+    for (const { weekday, hour, count } of this.countTimeSlots(from, to, filters, timeZone)) {
+      if (hour === null) {
+        untimed += count;
+        continue;
+      }
+      counts[weekday][hour] += count;
+      total += count;
+    }
+
+    const hours = Array.from({ length: 24 }, (_, hour) => `${String(hour).padStart(2, '0')}:00`);
+    return {
+      from,
+      to,
+      timezone: timeZone,
+      total,
+      untimed,
+      max:    Math.max(...counts.flat()),
+      days:   WEEKDAYS,
+      hours,
+      counts,
+      series: WEEKDAYS.map((day, weekday) => ({
+        name: day,
+        data: hours.map((x, hour) => ({ x, y: counts[weekday][hour] }))
+      }))
+    };
+  }
+
+  // ---- [{ type, weekday, hour, count }] for a slice, with hours read in `timeZone` ----
+  // Untimed incidents come back with a null weekday and hour. In the
+  // theater's own zone the reported date and time are used as they are.
+  countTimeSlots(from, to, filters, timeZone = this.timeZone) {
+    const slots = new Map();
+    for (const incident of this.queryIncidents(from, to, filters)) {
+      let slot = { weekday: null, hour: null };
+      if (incident.timestamp && timeZone === this.timeZone) {
+        slot = { weekday: weekdayOf(incident.date), hour: parseInt(incident.time.split(':')[0], 10) };
+      } else if (incident.timestamp) {
+        slot = weekdayHour(incident.timestamp, timeZone);
+      }
+
+      const key   = `${incident.type}\u0000${slot.weekday}\u0000${slot.hour}`;
+      const entry = slots.get(key);
+      if (entry) entry.count++;
+      else       slots.set(key, { type: incident.type, ...slot, count: 1 });
+    }
+    return Array.from(slots.values());
+  }
+
+  // ---- Network data -- flows between `levels` as Sankey nodes and links ----
+  // Incidents with 'N/A' (blank) at any level are left out with `skipUnknown`,
+  // otherwise they flow through an 'N/A' node.
+  getNetworkData(from, to, filters = {}, { levels = NETWORK_LEVELS, minCount = 1, skipUnknown = false } = {}) {
+    let paths = this.countPaths(from, to, filters, levels);
+    if (skipUnknown) paths = paths.filter(({ values }) => !values.includes(UNKNOWN_VALUE));
+
+    return { from, to, levels, ...buildNetwork(paths, levels, { minCount }) };
+  }
+
+  // ---- [{ values, count }] per combination of `fields` in a slice ----
+  countPaths(from, to, filters, fields) {
+    const paths = new Map();
+    for (const incident of this.queryIncidents(from, to, filters)) {
+      const values = fields.map(field => incident[field]);
+      const key    = JSON.stringify(values);
+      const path   = paths.get(key);
+      if (path) path.count++;
+      else      paths.set(key, { values, count: 1 });
+    }
+    return Array.from(paths.values());
+  }
+
+  // ---- Heatmap data -- daily counts for the slice, plus a calendar grid ----
+  // Counted from the incidents; a valid precomputed override, when present,
+  // answers unfiltered full-span requests only.
+  getHeatmapData(from, to, filters = {}) {
+    let dates, counts, source;
+
+    if (this.heatmapData && this.isFullSlice(from, to, filters)) {
+      dates  = this.heatmapData.dates;
+      counts = this.heatmapData.counts;
+      source = 'precomputed';
+    } else {
+      const dateCounts = this.countDates(from, to, filters);
+      dates  = Array.from(dateCounts.keys());
+      counts = Array.from(dateCounts.values());
+      source = 'incidents';
+    }
+
+    return {
+      dates,
+      counts,
+      source,
+      calendar: calendarGrid(dates, counts)
+    };
+  }
+
+  // ---- date -> count for a slice, in date order ----
+  countDates(from, to, filters) {
+    const counts = new Map();
+    // queryIncidents returns incidents in date order, so the keys come out sorted
+    for (const incident of this.queryIncidents(from, to, filters)) {
+      counts.set(incident.date, (counts.get(incident.date) || 0) + 1);
+    }
+    return counts;
+  }
+
+  // ---- value of `field` -> date -> count for a slice ----
+  countDatesBy(from, to, filters, field) {
+    const counts = new Map();
+    for (const incident of this.queryIncidents(from, to, filters)) {
+      const value = incident[field];
+      if (!counts.has(value)) counts.set(value, new Map());
+      const dates = counts.get(value);
+      dates.set(incident.date, (dates.get(incident.date) || 0) + 1);
+    }
+    return counts;
+  }
+
+  // ---- Trends -- rolling averages, week-over-week change and anomalous days ----
+  // One series for the whole slice, plus one per value of `groupBy` (largest
+  // first). Counts before `from` are read too, so the first requested days
+  // already have a full window and baseline where the data allows it.
+  getTrendData(from, to, filters = {}, options = {}) {
+    const { groupBy = null } = options;
+
+    // Days run over the loaded dates only -- from/to come from the query
+    // and can span millennia -- and history reaches back no further than
+    // the first loaded date
+    const range         = this.clampRange(from, to);
+    const lookbackStart = addDays(range.from, -trendLookback(options));
+    const historyStart  = lookbackStart > this.dates[0] ? lookbackStart : this.dates[0];
+    const days   = range.from <= range.to ? dayRange(historyStart, range.to) : [];
+    const offset = days.length ? daysBetween(historyStart, range.from) : 0;
+    const fill   = dateCounts => days.map(date => dateCounts.get(date) || 0);
+
+    const series = [{ key: 'All', ...trendSeries(days, fill(this.countDates(historyStart, range.to, filters)), offset, options) }];
+    if (groupBy) {
+      const groups = Array.from(this.countDatesBy(historyStart, range.to, filters, groupBy), ([key, dateCounts]) => (
+        { key, ...trendSeries(days, fill(dateCounts), offset, options) }
+      ));
+      // Equal totals go by key, so both storage modes list groups alike
+      series.push(...groups.filter(group => group.total > 0).sort((a, b) =>
+        b.total - a.total || (a.key < b.key ? -1 : a.key > b.key ? 1 : 0)));
+    }
+
+    return {
+      from,
+      to,
+      ...options,
+      groupBy,
+      dates: days.slice(offset),
+      series
+    };
+  }
+
+  // ---- from/to narrowed to the loaded dates ----
+  // `from` ends up after `to` when the range misses the data entirely.
+  clampRange(from, to) {
+    const first = this.dates[0];
+    const last  = this.dates[this.dates.length - 1];
+    return {
+      from: from < first ? first : from,
+      to:   to > last ? last : to
+    };
+  }
+
+  // ---- True when a slice covers every loaded incident ----
+  isFullSlice(from, to, filters = {}) {
+    return !this.hasFilters(filters) &&
+      (!from || from <= this.dates[0]) &&
+      (!to   || to   >= this.dates[this.dates.length - 1]);
+  }
+
+  // ---- Get boundary GeoJSON ----
+  getBoundary() {
+    return this.boundary;
+  }
+
+  // ---- Load-time data-quality report ----
+  getQualityReport() {
+    return this.quality.toJSON();
+  }
+
+  // ---- Get admin-level regions GeoJSON ----
+  getRegions() {
+    return this.regions;
+  }
+
+  // ---- Admin regions with incident counts and densities for a slice ----
+  // Returns null when the theater has no admin regions configured. Counts are
+  // keyed by feature index, so regions sharing a name (or having none) each
+  // keep their own.
+  getChoroplethData(from, to, filters = {}) {
+    if (!this.regionLocator) return null;
+
+    const populationProperty = this.config.regions.populationProperty;
+    const stats = new Map();
+    for (const region of this.regionLocator.regions) {
+      stats.set(region.index, { count: 0, byType: {} });
+    }
+
+    let unassigned = 0;
+    const incidents = this.queryIncidents(from, to, filters);
+    for (const incident of incidents) {
+      const entry = stats.get(this.incidentRegions.get(incident));
+      if (!entry) {
+        unassigned++;
+        continue;
+      }
+      entry.count++;
+      entry.byType[incident.type] = (entry.byType[incident.type] || 0) + 1;
+    }
+
+    const features = this.regionLocator.regions
+      .map(region => {
+        const feature    = this.regions.features[region.index];
+        const { count, byType } = stats.get(region.index);
+        const population = populationProperty ? Number((feature.properties || {})[populationProperty]) : NaN;
+
+        return {
+          type:     'Feature',
+          geometry: feature.geometry,
+          properties: {
+            ...feature.properties,
+            count,
+            byType,
+            share:             incidents.length ? count / incidents.length : 0,
+            areaKm2:           region.areaKm2,
+            per1000Km2:        region.areaKm2 ? count / region.areaKm2 * 1000 : null,
+            per100kPopulation: population > 0 ? count / population * 100000 : null
+          }
+        };
+      });
+
+    return {
+      type: 'FeatureCollection',
+      from,
+      to,
+      total: incidents.length,
+      unassigned,
+      features
+    };
+  }
+}
+
+// [minLng, minLat, maxLng, maxLat] around the points that have coordinates,
+// or a single point's worth of area when there are none
+function extentOf(points) {
+  const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+  for (const { lat, lng } of points) {
+    if (!isFinite(lat) || !isFinite(lng)) continue;
+    if (lng < bbox[0]) bbox[0] = lng;
+    if (lat < bbox[1]) bbox[1] = lat;
+    if (lng > bbox[2]) bbox[2] = lng;
+    if (lat > bbox[3]) bbox[3] = lat;
+  }
+  return isFinite(bbox[0]) ? bbox : [0, 0, 0, 0];
+}
+
+// ---- Weekday of a YYYY-MM-DD date, 0 = Monday ----
+function weekdayOf(date) {
+  return (new Date(`${date}T00:00:00Z`).getUTCDay() + 6) % 7;
+}
+
+// Audit log entries store incidents as JSON, so compare them the same way.
+// `id` is how the incident was found (and changes when an upload is given a
+// new one on replay); `timestamp` is derived from date and time (and is
+// missing from entries logged before it existed). Both are left out.
+function sameIncident(incident, stored) {
+  if (!incident || !stored) return false;
+  const content = ({ id, timestamp, ...rest }) => JSON.stringify(rest);
+  return content(incident) === content(stored);
+}
+
+function capitalize(str) {
+  return str.charAt(0).toUpperCase() + str.slice(1);
+}
+
+TheaterProcessor.SKIP_RULES      = SKIP_RULES;
+TheaterProcessor.METADATA_FIELDS = METADATA_FIELDS;
+
+module.exports = TheaterProcessor;
@@ -0,0 +1,154 @@
+const fs               = require('fs');
+const TheaterProcessor = require('./theater-processor');
+const theaterConfigs   = require('./theaters');
+
+// A fresh load is rejected (and the previous data kept) if it fails these
+const MAX_REJECTED_SHARE = 0.5;
+
+// Processor class per `storage` setting. SQLite is required lazily so the
+// optional better-sqlite3 dependency is only needed when a theater uses it.
+const STORAGE_BACKENDS = {
+  memory: () => TheaterProcessor,
+  sqlite: () => require('./sqlite-theater-processor')
+};
+
+// A replaced processor is closed once requests that started on it have had
+// time to finish
+const RETIRE_DELAY_MS = 60000;
+
+// How often watched data files are polled, and how long to wait for a
+// file to stop changing before reloading
+const WATCH_INTERVAL_MS = 5000;
+const WATCH_DEBOUNCE_MS = 2000;
+
+// Holds one processor per configured theater plus its load state.
+// Reloads build a new processor in the background and swap it in only once
+// it has loaded and validated; requests already running keep the processor
+// they started with.
+class TheaterRegistry {
+  constructor(configs) {
+    this.theaters = new Map();
+    for (const [id, config] of Object.entries(configs)) {
+      this.theaters.set(id, {
+        id,
+        config,
+        processor:       null,
+        loaded:          false,
+        version:         0,
+        loadedAt:        null,
+        reloading:       null, // Promise while a load is in flight
+        lastLoadError:   null
+      });
+    }
+  }
+
+  // ---- Look up a theater by id; undefined if unknown ----
+  get(id) {
+    return this.theaters.get(id);
+  }
+
+  // ---- All theaters in config order ----
+  list() {
+    return Array.from(this.theaters.values());
+  }
+
+  // ---- Load (or reload) one theater and swap it in once validated ----
+  // Concurrent calls for the same theater share the load already running.
+  load(id) {
+    const theater = this.theaters.get(id);
+    if (theater.reloading) return theater.reloading;
+
+    theater.reloading = this.buildProcessor(theater)
+      .then((processor) => {
+        const previous = theater.processor;
+        theater.processor     = processor;
+        theater.loaded        = true;
+        theater.version      += 1;
+        theater.loadedAt      = new Date().toISOString();
+        theater.lastLoadError = null;
+        console.log(`🔄 ${theater.config.name} data is now version ${theater.version}`);
+        if (previous) setTimeout(() => previous.close(), RETIRE_DELAY_MS).unref();
+        return theater;
+      })
+      .catch((error) => {
+        theater.lastLoadError = { message: error.message, at: new Date().toISOString() };
+        throw error;
+      })
+      .finally(() => {
+        theater.reloading = null;
+      });
+
+    return theater.reloading;
+  }
+
+  // ---- Load a brand-new processor off to the side and sanity-check it ----
+  async buildProcessor(theater) {
+    const storage = theater.config.storage || 'memory';
+    if (!STORAGE_BACKENDS[storage]) {
+      throw new Error(`Unknown storage "${storage}" for ${theater.config.name}. Allowed: ${Object.keys(STORAGE_BACKENDS).join(', ')}`);
+    }
+
+    const Processor = STORAGE_BACKENDS[storage]();
+    const processor = new Processor(theater.id, theater.config);
+    try {
+      await processor.loadData();
+
+      const { rowsRead, rowsRejected } = processor.getQualityReport();
+      if (processor.getIncidentCount() === 0) {
+        throw new Error(`${theater.config.name} load produced no incidents`);
+      }
+      if (rowsRead && rowsRejected / rowsRead > MAX_REJECTED_SHARE) {
+        throw new Error(`${theater.config.name} load rejected ${rowsRejected} of ${rowsRead} rows`);
+      }
+    } catch (error) {
+      processor.close();
+      throw error;
+    }
+    return processor;
+  }
+
+  // ---- Reload a theater whenever one of its data files changes ----
+  watch() {
+    for (const theater of this.theaters.values()) {
+      const { csvPath, boundaryPath, regions, heatmapPath } = theater.config;
+      const files = [csvPath, boundaryPath, regions && regions.path, heatmapPath].filter(Boolean);
+
+      let timer = null;
+      const onChange = (curr, prev) => {
+        if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+          console.log(`👀 ${theater.config.name} data files changed -- reloading`);
+          this.load(theater.id).catch((error) => {
+            console.error(`❌ Reload of ${theater.config.name} failed, keeping version ${theater.version}:`, error.message);
+          });
+        }, WATCH_DEBOUNCE_MS);
+      };
+
+      for (const file of files) {
+        fs.watchFile(file, { interval: WATCH_INTERVAL_MS }, onChange);
+      }
+      console.log(`👀 Watching ${files.length} ${theater.config.name} data files for changes`);
+    }
+  }
+
+  // ---- Load state reported by `/` and /api/theaters ----
+  describe(theater) {
+    return {
+      status:        theater.loaded ? 'ready' : 'loading',
+      storage:       theater.config.storage || 'memory',
+      timezone:      theater.config.timezone || 'UTC',
+      version:       theater.version,
+      loadedAt:      theater.loadedAt,
+      incidents:     theater.processor ? theater.processor.getIncidentCount() : 0,
+      cachedQueries: theater.processor ? theater.processor.aggregateCache.size : 0,
+      cacheHits:     theater.processor ? theater.processor.aggregateCache.hits : 0,
+      cacheMisses:   theater.processor ? theater.processor.aggregateCache.misses : 0,
+      auditReplay:   theater.processor ? theater.processor.auditReplay : null,
+      reloading:     Boolean(theater.reloading),
+      lastLoadError: theater.lastLoadError
+    };
+  }
+}
+
+module.exports = new TheaterRegistry(theaterConfigs);
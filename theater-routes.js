@@ -0,0 +1,901 @@
+const express      = require('express');
+const csv          = require('csv-parser');
+const { Readable } = require('stream');
+const { EXPORT_FORMATS } = require('./export-formats');
+const { fieldFilter, parseSearchQuery, SearchQueryError } = require('./search');
+const { INTERVALS, METRICS } = require('./aggregation');
+const { TREND_METHODS } = require('./trends');
+const { HotspotError, HOTSPOT_METHODS } = require('./hotspots');
+const { NETWORK_LEVELS, MAX_LEVELS } = require('./network');
+const { playbackFrames, frameOf, frameCount, PLAYBACK_GRANULARITIES, PLAYBACK_FORMATS } = require('./playback');
+const { IngestError } = require('./ingest');
+const { resolveTimeZone } = require('./timezones');
+const { requireAdmin } = require('./auth');
+const { validateRequest } = require('./request-validator');
+const {
+  THEATER_ROUTES, assertDocumented, DEFAULT_LIMIT, MAX_LIMIT, MAX_RADIUS_KM, MAX_ZOOM,
+  MAX_TREND_WINDOW, MAX_BASELINE_DAYS, MIN_CELL_KM, MAX_CELL_KM, MAX_PLAYBACK_FPS
+} = require('./api-spec');
+
+// ===== QUERY HELPERS =====
+// Parameter limits live in api-spec.js; these are not expressed there
+const DATE_RE         = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_UPLOAD_ROWS = 50000;
+const MAX_BANDWIDTH   = 10; // x cellKm, bounds the neighbourhood per cell
+
+// Parse ?from=&to= as YYYY-MM-DD. When `dates` (the theater's sorted date
+// list) is passed, missing bounds default to the full dataset span;
+// otherwise both are required. Returns { error } on bad input.
+function parseDateRange(query, dates) {
+  const from = query.from !== undefined || !dates ? query.from : dates[0];
+  const to   = query.to   !== undefined || !dates ? query.to   : dates[dates.length - 1];
+  if (!DATE_RE.test(from || '') || !DATE_RE.test(to || '')) {
+    return { error: dates
+      ? 'Query params "from" and "to" must be in YYYY-MM-DD format'
+      : 'Query params "from" and "to" are required in YYYY-MM-DD format' };
+  }
+  if (from > to) {
+    return { error: '"from" must not be after "to"' };
+  }
+  return { from, to };
+}
+
+// Parse ?offset=&limit= into { offset, limit }, or { error }
+function parsePagination(query) {
+  const offset = query.offset === undefined ? 0 : parseInt(query.offset, 10);
+  const limit  = query.limit  === undefined ? DEFAULT_LIMIT : parseInt(query.limit, 10);
+  if (isNaN(offset) || offset < 0) {
+    return { error: '"offset" must be a non-negative integer' };
+  }
+  if (isNaN(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return { error: `"limit" must be an integer between 1 and ${MAX_LIMIT}` };
+  }
+
+  return { offset, limit };
+}
+
+// Parse ?from=&to=&offset=&limit= for range queries.
+// Returns { error } on bad input so routes can answer 400.
+function parseRangeQuery(query) {
+  const range = parseDateRange(query);
+  if (range.error) return range;
+
+  const page = parsePagination(query);
+  if (page.error) return page;
+
+  return { ...range, ...page };
+}
+
+// Shape a paginated range response; nextOffset is null on the last page
+function rangeResponse(range, result) {
+  const nextOffset = range.offset + result.incidents.length;
+  return {
+    from:       range.from,
+    to:         range.to,
+    total:      result.total,
+    offset:     range.offset,
+    limit:      range.limit,
+    count:      result.incidents.length,
+    nextOffset: nextOffset < result.total ? nextOffset : null,
+    incidents:  result.incidents
+  };
+}
+
+// Parse comma-separated numbers; null unless exactly `count` finite values
+function parseNumberList(str, count) {
+  const values = String(str).split(',').map(Number);
+  return values.length === count && values.every(isFinite) ? values : null;
+}
+
+// Parse ?bbox=minLng,minLat,maxLng,maxLat and ?near=lat,lng&radiusKm=
+// into { bbox, near }, or { error } on bad input.
+function parseSpatialQuery(query) {
+  const spatial = {};
+
+  if (query.bbox !== undefined) {
+    const bbox = parseNumberList(query.bbox, 4);
+    if (!bbox || bbox[0] > bbox[2] || bbox[1] > bbox[3]) {
+      return { error: '"bbox" must be minLng,minLat,maxLng,maxLat' };
+    }
+    spatial.bbox = bbox;
+  }
+
+  if (query.near !== undefined) {
+    const near     = parseNumberList(query.near, 2);
+    const radiusKm = Number(query.radiusKm);
+    if (!near) {
+      return { error: '"near" must be lat,lng' };
+    }
+    if (!isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+      return { error: `"radiusKm" is required with "near" and must be between 0 and ${MAX_RADIUS_KM}` };
+    }
+    spatial.near = { lat: near[0], lng: near[1], radiusKm };
+  }
+
+  return spatial;
+}
+
+// Pick the filters this theater supports out of the query string
+function parseFilters(processor, query) {
+  const filters = {};
+  for (const field of processor.filterFields) {
+    filters[field] = query[field];
+  }
+  return filters;
+}
+
+// Parse the shared slice params -- optional from/to (default: full dataset),
+// spatial filters and attribute filters -- into { from, to, filters }.
+function parseSliceQuery(processor, query) {
+  const range = parseDateRange(query, processor.getDates());
+  if (range.error) return range;
+
+  const spatial = parseSpatialQuery(query);
+  if (spatial.error) return spatial;
+
+  return {
+    from:    range.from,
+    to:      range.to,
+    filters: { ...parseFilters(processor, query), ...spatial }
+  };
+}
+
+// Parse the /dashboard/trends settings into options for getTrendData(),
+// or { error } on bad input
+function parseTrendQuery(processor, query) {
+  const int = (name, fallback) => (query[name] === undefined ? fallback : Number(query[name]));
+
+  const options = {
+    groupBy:      query.groupBy === undefined ? 'type' : query.groupBy,
+    method:       query.method === undefined ? 'zscore' : query.method,
+    window:       int('window', 7),
+    baselineDays: int('baselineDays', 28),
+    threshold:    int('threshold', 3),
+    minCount:     int('minCount', 5)
+  };
+
+  if (options.groupBy === 'none') {
+    options.groupBy = null;
+  } else if (!processor.filterFields.includes(options.groupBy)) {
+    return { error: `"groupBy" must be one of: none, ${processor.filterFields.join(', ')}` };
+  }
+  if (!TREND_METHODS.includes(options.method)) {
+    return { error: `"method" must be one of: ${TREND_METHODS.join(', ')}` };
+  }
+  if (!Number.isInteger(options.window) || options.window < 1 || options.window > MAX_TREND_WINDOW) {
+    return { error: `"window" must be an integer between 1 and ${MAX_TREND_WINDOW}` };
+  }
+  if (!Number.isInteger(options.baselineDays) || options.baselineDays < 7 || options.baselineDays > MAX_BASELINE_DAYS) {
+    return { error: `"baselineDays" must be an integer between 7 and ${MAX_BASELINE_DAYS}` };
+  }
+  if (!isFinite(options.threshold) || options.threshold <= 0) {
+    return { error: '"threshold" must be a positive number' };
+  }
+  if (!Number.isInteger(options.minCount) || options.minCount < 0) {
+    return { error: '"minCount" must be a non-negative integer' };
+  }
+  return options;
+}
+
+// Parse the /analysis/hotspots settings into options for getHotspots(),
+// or { error } on bad input
+function parseHotspotQuery(query) {
+  const method = query.method === undefined ? 'gistar' : query.method;
+  const cellKm = query.cellKm === undefined ? 5 : Number(query.cellKm);
+  if (!HOTSPOT_METHODS.includes(method)) {
+    return { error: `"method" must be one of: ${HOTSPOT_METHODS.join(', ')}` };
+  }
+  if (!isFinite(cellKm) || cellKm < MIN_CELL_KM || cellKm > MAX_CELL_KM) {
+    return { error: `"cellKm" must be between ${MIN_CELL_KM} and ${MAX_CELL_KM}` };
+  }
+
+  const bandwidthKm = query.bandwidthKm === undefined ? cellKm * 2 : Number(query.bandwidthKm);
+  if (!isFinite(bandwidthKm) || bandwidthKm < cellKm || bandwidthKm > cellKm * MAX_BANDWIDTH) {
+    return { error: `"bandwidthKm" must be between "cellKm" and ${MAX_BANDWIDTH} times "cellKm"` };
+  }
+  return { method, cellKm, bandwidthKm };
+}
+
+// Parse ?timezone= into { timeZone } -- the theater's own zone by default --
+// or { error } for a name the runtime doesn't know
+function parseTimeZoneQuery(processor, query) {
+  if (query.timezone === undefined) return { timeZone: processor.timeZone };
+  const timeZone = resolveTimeZone(query.timezone);
+  if (!timeZone) {
+    return { error: '"timezone" must be an IANA time zone such as UTC, Asia/Baghdad or Asia/Kabul' };
+  }
+  return { timeZone };
+}
+
+// Parse the /dashboard/radar settings into options for getRadarData(), or
+// { error }. `buckets` lists start hours; each bucket runs to the next
+// start, and the last one wraps past midnight.
+function parseRadarQuery(processor, query) {
+  const zone = parseTimeZoneQuery(processor, query);
+  if (zone.error) return zone;
+
+  const options = { series: parseList(query.series), timeZone: zone.timeZone };
+  if (query.buckets === undefined) return options;
+
+  const starts = parseList(query.buckets).map(Number).sort((a, b) => a - b);
+  if (!starts.length || starts.some(h => !Number.isInteger(h) || h < 0 || h > 23) || new Set(starts).size !== starts.length) {
+    return { error: '"buckets" must be different start hours between 0 and 23' };
+  }
+  const hour = h => `${String(h).padStart(2, '0')}`;
+  options.buckets = starts.map((start, i) => {
+    const end = (starts[(i + 1) % starts.length] + 23) % 24;
+    return { label: `${hour(start)}:00-${hour(end)}:59`, start };
+  });
+  return options;
+}
+
+// Parse the /dashboard/network settings into options for getNetworkData(),
+// or { error } on bad input. Levels must be fields this theater maps.
+function parseNetworkQuery(processor, query) {
+  const levels   = parseList(query.levels) || NETWORK_LEVELS;
+  const minCount = query.minCount === undefined ? 1 : Number(query.minCount);
+
+  if (levels.length < 2 || levels.length > MAX_LEVELS || new Set(levels).size !== levels.length) {
+    return { error: `"levels" must be 2 to ${MAX_LEVELS} different fields` };
+  }
+  const unmapped = levels.filter(field => !processor.attributeFields.includes(field));
+  if (unmapped.length) {
+    return { error: `${processor.name} has no ${unmapped.join(', ')} data; "levels" can use: ${processor.attributeFields.join(', ')}` };
+  }
+  if (!Number.isInteger(minCount) || minCount < 1) {
+    return { error: '"minCount" must be a positive integer' };
+  }
+  return { levels, minCount, skipUnknown: query.skipUnknown === 'true' };
+}
+
+// Parse the /playback settings into options for playbackFrames() plus the
+// stream `format` and `speed`, or { error } on bad input. `start` must fall
+// inside the slice's from/to.
+function parsePlaybackQuery(query, slice) {
+  const options = {
+    format:      query.format === undefined ? 'sse' : query.format,
+    granularity: query.granularity === undefined ? 'day' : query.granularity,
+    speed:       query.speed === undefined ? 0 : Number(query.speed),
+    skipEmpty:   query.skipEmpty === 'true'
+  };
+
+  if (!PLAYBACK_FORMATS.includes(options.format)) {
+    return { error: `"format" must be one of: ${PLAYBACK_FORMATS.join(', ')}` };
+  }
+  if (!PLAYBACK_GRANULARITIES.includes(options.granularity)) {
+    return { error: `"granularity" must be one of: ${PLAYBACK_GRANULARITIES.join(', ')}` };
+  }
+  if (!isFinite(options.speed) || options.speed < 0 || options.speed > MAX_PLAYBACK_FPS) {
+    return { error: `"speed" must be between 0 and ${MAX_PLAYBACK_FPS} frames per second` };
+  }
+  if (query.start !== undefined) {
+    if (!DATE_RE.test(query.start) || query.start < slice.from || query.start > slice.to) {
+      return { error: `"start" must be a YYYY-MM-DD date between ${slice.from} and ${slice.to}` };
+    }
+    options.start = frameOf({ date: query.start, time: '' }, options.granularity);
+  }
+  return options;
+}
+
+// Resolve once a backed-up response drains, or the client goes away
+function drained(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+// Parse a comma-separated list param; undefined when absent (so the
+// processor default applies), [] when present but empty
+function parseList(value) {
+  if (value === undefined) return undefined;
+  return String(value).split(',').map(v => v.trim()).filter(Boolean);
+}
+
+// ===== INGESTION HELPERS =====
+
+// Read a text/csv request body into an array of row objects
+function readCsvBody(req) {
+  return new Promise((resolve, reject) => {
+    const rows   = [];
+    const parser = csv();
+    req.pipe(parser)
+      .on('data', (row) => {
+        rows.push(row);
+        if (rows.length > MAX_UPLOAD_ROWS) {
+          req.unpipe(parser);
+          parser.destroy();
+          reject(new IngestError(`Uploads are limited to ${MAX_UPLOAD_ROWS} rows`));
+        }
+      })
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
+// ---- Created incidents plus any per-record warnings ----
+function ingestResponse(results) {
+  return {
+    count:     results.length,
+    incidents: results.map(r => r.incident),
+    warnings:  results
+      .filter(r => r.warnings.length)
+      .map(r => ({ id: r.incident.id, warnings: r.warnings }))
+  };
+}
+
+// Who made a change, for the audit log
+function changeContext(req, source) {
+  return { source, client: req.ip, apiKey: req.auth.keyId };
+}
+
+// =============================================================
+// ===== ROUTER FACTORY ========================================
+// =============================================================
+
+// Build the full set of theater routes. `resolveTheater(req)` returns the
+// registry entry to serve, so the same router backs both
+// /api/theaters/:theater and the fixed legacy prefixes.
+function createTheaterRouter(resolveTheater) {
+  const router = express.Router({ mergeParams: true });
+
+  // ---- Resolve the theater and make sure its data is ready ----
+  router.use((req, res, next) => {
+    const theater = resolveTheater(req);
+    if (!theater) {
+      return res.status(404).json({ error: `Unknown theater: ${req.params.theater}` });
+    }
+    if (!theater.loaded) {
+      return res.status(503).json({ error: `${theater.config.name} data is still loading. Please try again in a moment.` });
+    }
+    req.theater   = theater;
+    req.processor = theater.processor;
+
+    // Data changes only on reload or ingestion
+    const modifiedAt = theater.processor.modifiedAt || new Date(theater.loadedAt);
+    res.set('Last-Modified', modifiedAt.toUTCString());
+    next();
+  });
+
+  // ---- Check path and query parameters against api-spec.js ----
+  // Runs ahead of the handlers below, which still apply the rules that span
+  // several parameters (from <= to, bbox corner order, ...).
+  for (const route of THEATER_ROUTES) {
+    router[route.method](route.path, validateRequest(route));
+  }
+
+  router.get('/dates', (req, res) => {
+    const { name } = req.theater.config;
+    try {
+      const dates = req.processor.getDates();
+      console.log(`📅 [${name}] Sent ${dates.length} dates`);
+      res.json({ dates });
+    } catch (error) {
+      console.error(`Error fetching ${name} dates:`, error);
+      res.status(500).json({ error: 'Failed to fetch dates' });
+    }
+  });
+
+  router.get('/metadata', (req, res) => {
+    const { name } = req.theater.config;
+    try {
+      const metadata = req.processor.getMetadata();
+      console.log(`📊 [${name}] Sent metadata`);
+      res.json(metadata);
+    } catch (error) {
+      console.error(`Error fetching ${name} metadata:`, error);
+      res.status(500).json({ error: 'Failed to fetch metadata' });
+    }
+  });
+
+  router.get('/incidents', (req, res) => {
+    const { name } = req.theater.config;
+    try {
+      const range = parseRangeQuery(req.query);
+      if (range.error) return res.status(400).json({ error: range.error });
+
+      const spatial = parseSpatialQuery(req.query);
+      if (spatial.error) return res.status(400).json({ error: spatial.error });
+
+      const filters = { ...parseFilters(req.processor, req.query), ...spatial };
+      const result  = req.processor.getIncidentsInRange(range.from, range.to, filters, range);
+      console.log(`📤 [${name}] Sent ${result.incidents.length}/${result.total} incidents for ${range.from}..${range.to}`);
+      res.json(rangeResponse(range, result));
+    } catch (error) {
+      console.error(`Error fetching ${name} incident range:`, error);
+      res.status(500).json({ error: 'Failed to fetch incidents' });
+    }
+  });
+
+  router.get('/incidents/:date', (req, res) => {
+    const { name } = req.theater.config;
+    try {
+      const { date } = req.params;
+      const spatial  = parseSpatialQuery(req.query);
+      if (spatial.error) return res.status(400).json({ error: spatial.error });
+
+      const filters   = { ...parseFilters(req.processor, req.query), ...spatial };
+      const incidents = req.processor.getIncidents(date, filters);
+      console.log(`📤 [${name}] Sent ${incidents.length} incidents for ${date}`);
+      res.json({ date, count: incidents.length, incidents });
+    } catch (error) {
+      console.error(`Error fetching ${name} incidents:`, error);
+      res.status(500).json({ error: 'Failed to fetch incidents' });
+    }
+  });
+
+  router.get('/clusters', (req, res) => {
+    const { name } = req.theater.config;
+    try {
+      const zoom = parseInt(req.query.zoom, 10);
+      if (isNaN(zoom) || zoom < 0 || zoom > MAX_ZOOM) {
+        return res.status(400).json({ error: `"zoom" is required and must be an integer between 0 and ${MAX_ZOOM}` });
+      }
+
+      const slice = parseSliceQuery(req.processor, req.query);
+      if (slice.error) return res.status(400).json({ error: slice.error });
+
+      const data = req.processor.getClusters(slice.from, slice.to, slice.filters, zoom);
+      console.log(`📊 [${name}] Sent ${data.bins.length} clusters at zoom ${zoom}`);
+      res.json({ from: slice.from, to: slice.to, ...data });
+    } catch (error) {
+      console.error(`Error generating ${name} clusters:`, error);
+      res.status(500).json({ error: 'Failed to generate clusters' });
+    }
+  });
+
+  router.get('/search', (req, res) => {
+    const { name } = req.theater.config;
+    try {
+      const range = parseDateRange(req.query, req.processor.getDates());
+      if (range.error) return res.status(400).json({ error: range.error });
+
+      const page = parsePagination(req.query);
+      if (page.error) return res.status(400).json({ error: page.error });
+
+      const spatial = parseSpatialQuery(req.query);
+      if (spatial.error) return res.status(400).json({ error: spatial.error });
+
+      const facetLimit = req.query.facetLimit === undefined ? 20 : parseInt(req.query.facetLimit, 10);
+      if (isNaN(facetLimit) || facetLimit < 1) {
+        return res.status(400).json({ error: '"facetLimit" must be a positive integer' });
+      }
+
+      // Per-field filters: multi-value, negation, prefix and fuzzy
+      const predicates = req.processor.attributeFields
+        .filter(field => req.query[field] !== undefined)
+        .map(field => fieldFilter(field, req.query[field]))
+        .filter(Boolean);
+
+      if (req.query.q) {
+        predicates.push(parseSearchQuery(String(req.query.q), req.processor.attributeFields));
+      }
+
+      const result = req.processor.searchIncidents(range.from, range.to, spatial, predicates, { ...page, facetLimit });
+      console.log(`🔎 [${name}] Search matched ${result.total} incidents`);
+      res.json({ ...rangeResponse({ ...range, ...page }, result), facets: result.facets });
+    } catch (error) {
+      if (error instanceof SearchQueryError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error(`Error searching ${name} incidents:`, error);
+      res.status(500).json({ error: 'Failed to search incidents' });
+    }
+  });
+
+  router.get('/export', (req, res) => {
+    const { name } = req.theater.config;
+    try {
+      const format = EXPORT_FORMATS[req.query.format || 'csv'];
+      if (!format) {
+        return res.status(400).json({ error: `"format" must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+      }
+
+      const slice = parseSliceQuery(req.processor, req.query);
+      if (slice.error) return res.status(400).json({ error: slice.error });
+
+      const incidents = req.processor.queryIncidents(slice.from, slice.to, slice.filters);
+      const filename  = `sigacts-${req.theater.id}-${slice.from}_${slice.to}.${format.extension}`;
+
+      res.set({
+        'Content-Type':        format.contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`
+      });
+
+      // Serialize lazily so large exports are never buffered as one string
+      Readable.from(format.serialize(incidents, req.processor.exportFields))
+        .on('error', (error) => {
+          console.error(`Error streaming ${name} export:`, error);
+          res.destroy(error);
+        })
+        .on('end', () => console.log(`📦 [${name}] Exported ${incidents.length} incidents as ${format.extension}`))
+        .pipe(res);
+    } catch (error) {
+      console.error(`Error exporting ${name} incidents:`, error);
+      res.status(500).json({ error: 'Failed to export incidents' });
+    }
+  });
+
+  // Streams frames as Server-Sent Events (`meta`, then one `frame` event per
+  // frame with the frame name as its id, then `end`) or as NDJSON lines with
+  // a `type` of meta / frame / end. `speed` paces frames per second; 0 sends
+  // them as fast as the client reads. An SSE client reconnecting with
+  // Last-Event-ID picks up after the last frame it saw.
+  router.get('/playback', async (req, res) => {
+    const { name } = req.theater.config;
+    try {
+      const slice = parseSliceQuery(req.processor, req.query);
+      if (slice.error) return res.status(400).json({ error: slice.error });
+
+      const options = parsePlaybackQuery(req.query, slice);
+      if (options.error) return res.status(400).json({ error: options.error });
+
+      // Frames only cover the loaded dates: an hourly playback over the
+      // whole calendar range a query can name would never finish
+      const { from, to } = req.processor.clampRange(slice.from, slice.to);
+      const incidents    = req.processor.queryIncidents(from, to, slice.filters);
+      const frames       = playbackFrames(incidents, from, to, {
+        ...options,
+        after: options.format === 'sse' ? req.get('Last-Event-ID') || null : null
+      });
+
+      const send = options.format === 'sse'
+        ? (type, data, id) => res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`)
+        : (type, data) => res.write(JSON.stringify({ type, ...data }) + '\n');
+
+      let closed = false;
+      res.on('close', () => { closed = true; });
+
+      res.set({
+        'Content-Type':      options.format === 'sse' ? 'text/event-stream; charset=utf-8' : 'application/x-ndjson; charset=utf-8',
+        'Cache-Control':     'no-cache',
+        'X-Accel-Buffering': 'no' // Keep reverse proxies from holding frames back
+      });
+      res.flushHeaders();
+
+      send('meta', {
+        from,
+        to,
+        start:       options.start || null,
+        granularity: options.granularity,
+        speed:       options.speed,
+        frames:      frameCount(from, to, options.granularity),
+        total:       incidents.length
+      });
+
+      let sent = 0;
+      for (const frame of frames) {
+        if (closed) break;
+        const flushed = send('frame', frame, frame.frame);
+        if (res.flush) res.flush(); // Push the frame through compression now
+        if (!flushed) await drained(res);
+        sent++;
+        if (options.speed) await new Promise(resolve => setTimeout(resolve, 1000 / options.speed));
+      }
+
+      if (closed) {
+        console.log(`🎞️  [${name}] Playback closed by client after ${sent} frames`);
+        return;
+      }
+      send('end', { frames: sent });
+      res.end();
+      console.log(`🎞️  [${name}] Played ${sent} ${options.granularity} frames (${incidents.length} incidents)`);
+    } catch (error) {
+      console.error(`Error streaming ${name} playback:`, error);
+      if (res.headersSent) return res.destroy(error);
+      res.status(500).json({ error: 'Failed to stream playback' });
+    }
+  });
+
+  router.get('/aggregate', (req, res) => {
+    const { name } = req.theater.config;
+    try {
+      const slice = parseSliceQuery(req.processor, req.query);
+      if (slice.error) return res.status(400).json({ error: slice.error });
+
+      const fields  = req.processor.attributeFields;
+      const groupBy = parseList(req.query.groupBy) || [];
+      const unknown = groupBy.filter(field => !fields.includes(field));
+      if (unknown.length) {
+        return res.status(400).json({ error: `Cannot group by ${unknown.join(', ')}. Allowed: ${fields.join(', ')}` });
+      }
+
+      const interval = req.query.interval || null;
+      if (interval && !INTERVALS.includes(interval)) {
+        return res.status(400).json({ error: `"interval" must be one of ${INTERVALS.join(', ')}` });
+      }
+
+      const metric = req.query.metric || 'count';
+      if (!METRICS.includes(metric)) {
+        return res.status(400).json({ error: `"metric" must be one of ${METRICS.join(', ')}` });
+      }
+
+      const format = req.query.format || 'table';
+      if (!['table', 'series'].includes(format)) {
+        return res.status(400).json({ error: '"format" must be table or series' });
+      }
+
+      const options = { groupBy, interval, metric, format };
+      const data    = req.processor.getAggregateData(slice.from, slice.to, slice.filters, options);
+      console.log(`📊 [${name}] Sent aggregate by ${[...groupBy, interval].filter(Boolean).join(', ') || 'total'}`);
+      res.json({ from: slice.from, to: slice.to, ...options, ...data });
+    } catch (error) {
+      console.error(`Error generating ${name} aggregate:`, error);
+      res.status(500).json({ error: 'Failed to generate aggregate data' });
+    }
+  });
+
+  router.get('/dashboard/treemap', (req, res) => {
+    const { name } = req.theater.config;
+    try {
+      const slice = parseSliceQuery(req.processor, req.query);
+      if (slice.error) return res.status(400).json({ error: slice.error });
+
+      const exclude = parseList(req.query.exclude);
+      const data    = req.processor.getTreemapData(slice.from, slice.to, slice.filters, { exclude });
+      console.log(`📊 [${name}] Sent treemap data`);
+      res.json(data);
+    } catch (error) {
+      console.error(`Error generating ${name} treemap:`, error);
+      res.status(500).json({ error: 'Failed to generate treemap data' });
+    }
+  });
+
+  router.get('/dashboard/radar', (req, res) => {
+    const { name } = req.theater.config;
+    try {
+      const slice = parseSliceQuery(req.processor, req.query);
+      if (slice.error) return res.status(400).json({ error: slice.error });
+
+      const options = parseRadarQuery(req.processor, req.query);
+      if (options.error) return res.status(400).json({ error: options.error });
+
+      const data = req.processor.getRadarData(slice.from, slice.to, slice.filters, options);
+      console.log(`📊 [${name}] Sent radar data`);
+      res.json(data);
+    } catch (error) {
+      console.error(`Error generating ${name} radar:`, error);
+      res.status(500).json({ error: 'Failed to generate radar data' });
+    }
+  });
+
+  router.get('/dashboard/hour-of-week', (req, res) => {
+    const { name } = req.theater.config;
+    try {
+      const slice = parseSliceQuery(req.processor, req.query);
+      if (slice.error) return res.status(400).json({ error: slice.error });
+
+      const zone = parseTimeZoneQuery(req.processor, req.query);
+      if (zone.error) return res.status(400).json({ error: zone.error });
+
+      const data = req.processor.getHourOfWeekData(slice.from, slice.to, slice.filters, zone);
+      console.log(`📊 [${name}] Sent hour-of-week heatmap (${zone.timeZone})`);
+      res.json(data);
+    } catch (error) {
+      console.error(`Error generating ${name} hour-of-week heatmap:`, error);
+      res.status(500).json({ error: 'Failed to generate hour-of-week data' });
+    }
+  });
+
+  router.get('/dashboard/network', (req, res) => {
+    const { name } = req.theater.config;
+    try {
+      const slice = parseSliceQuery(req.processor, req.query);
+      if (slice.error) return res.status(400).json({ error: slice.error });
+
+      const options = parseNetworkQuery(req.processor, req.query);
+      if (options.error) return res.status(400).json({ error: options.error });
+
+      const data = req.processor.getNetworkData(slice.from, slice.to, slice.filters, options);
+      console.log(`🕸️  [${name}] Sent network of ${data.nodes.length} nodes / ${data.links.length} links`);
+      res.json(data);
+    } catch (error) {
+      console.error(`Error generating ${name} network:`, error);
+      res.status(500).json({ error: 'Failed to generate network data' });
+    }
+  });
+
+  router.get('/dashboard/heatmap', (req, res) => {
+    const { name } = req.theater.config;
+    try {
+      const slice = parseSliceQuery(req.processor, req.query);
+      if (slice.error) return res.status(400).json({ error: slice.error });
+
+      const data = req.processor.getHeatmapData(slice.from, slice.to, slice.filters);
+      console.log(`📊 [${name}] Sent heatmap data`);
+      res.json(data);
+    } catch (error) {
+      console.error(`Error generating ${name} heatmap:`, error);
+      res.status(500).json({ error: 'Failed to generate heatmap data' });
+    }
+  });
+
+  router.get('/dashboard/trends', (req, res) => {
+    const { name } = req.theater.config;
+    try {
+      const slice = parseSliceQuery(req.processor, req.query);
+      if (slice.error) return res.status(400).json({ error: slice.error });
+
+      const options = parseTrendQuery(req.processor, req.query);
+      if (options.error) return res.status(400).json({ error: options.error });
+
+      const data      = req.processor.getTrendData(slice.from, slice.to, slice.filters, options);
+      const anomalies = data.series.reduce((sum, s) => sum + s.anomalies.length, 0);
+      console.log(`📈 [${name}] Sent trends for ${data.series.length} series (${anomalies} anomalous days)`);
+      res.json(data);
+    } catch (error) {
+      console.error(`Error generating ${name} trends:`, error);
+      res.status(500).json({ error: 'Failed to generate trend data' });
+    }
+  });
+
+  router.get('/dashboard/choropleth', (req, res) => {
+    const { name } = req.theater.config;
+    try {
+      const slice = parseSliceQuery(req.processor, req.query);
+      if (slice.error) return res.status(400).json({ error: slice.error });
+
+      const data = req.processor.getChoroplethData(slice.from, slice.to, slice.filters);
+      if (!data) return res.status(404).json({ error: `${name} admin region data not found` });
+      console.log(`📊 [${name}] Sent choropleth data`);
+      res.json(data);
+    } catch (error) {
+      console.error(`Error generating ${name} choropleth:`, error);
+      res.status(500).json({ error: 'Failed to generate choropleth data' });
+    }
+  });
+
+  router.get('/analysis/hotspots', (req, res) => {
+    const { name } = req.theater.config;
+    try {
+      const slice = parseSliceQuery(req.processor, req.query);
+      if (slice.error) return res.status(400).json({ error: slice.error });
+
+      const options = parseHotspotQuery(req.query);
+      if (options.error) return res.status(400).json({ error: options.error });
+
+      const data = req.processor.getHotspots(slice.from, slice.to, slice.filters, options);
+      console.log(`🔥 [${name}] Sent ${options.method} hotspots: ${data.summary.hot} hot / ${data.summary.cold} cold cells`);
+      res.type('application/geo+json').json(data); // res.json keeps a type already set
+    } catch (error) {
+      if (error instanceof HotspotError) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error(`Error analysing ${name} hotspots:`, error);
+      res.status(500).json({ error: 'Failed to compute hotspots' });
+    }
+  });
+
+  router.get('/boundary', (req, res) => {
+    const { name } = req.theater.config;
+    try {
+      const boundary = req.processor.getBoundary();
+      if (!boundary) return res.status(404).json({ error: `${name} boundary data not found` });
+      console.log(`🗺️  [${name}] Sent boundary`);
+      res.json(boundary);
+    } catch (error) {
+      console.error(`Error fetching ${name} boundary:`, error);
+      res.status(500).json({ error: 'Failed to fetch boundary' });
+    }
+  });
+
+  router.get('/quality', (req, res) => {
+    const { name } = req.theater.config;
+    try {
+      const report = req.processor.getQualityReport();
+      console.log(`🧪 [${name}] Sent data-quality report`);
+      res.json(report);
+    } catch (error) {
+      console.error(`Error fetching ${name} data-quality report:`, error);
+      res.status(500).json({ error: 'Failed to fetch data-quality report' });
+    }
+  });
+
+  // ===== INGESTION (admin) =====
+
+  // ---- Uploads need an audit log, and are refused while a reload is swapping data ----
+  function requireIngestion(req, res, next) {
+    const { name } = req.theater.config;
+    if (!req.processor.audit) {
+      return res.status(404).json({ error: `${name} does not accept uploads (no auditLogPath configured)` });
+    }
+    if (req.theater.reloading) {
+      return res.status(503).json({ error: `${name} data is reloading. Please try again in a moment.` });
+    }
+    next();
+  }
+
+  // Answer an ingestion error: validation problems are 400s with per-record detail
+  function ingestError(res, name, error, message) {
+    if (error instanceof IngestError) {
+      return res.status(400).json({ error: error.message, records: error.records });
+    }
+    console.error(`Error ${message} for ${name}:`, error);
+    res.status(500).json({ error: `Failed ${message}` });
+  }
+
+  // ---- Add one incident (JSON object) or several (JSON array) ----
+  router.post('/incidents', requireAdmin, requireIngestion, (req, res) => {
+    const { name } = req.theater.config;
+    try {
+      const records = Array.isArray(req.body) ? req.body : [req.body];
+      if (!records.length || !records.every(r => r && typeof r === 'object' && !Array.isArray(r))) {
+        return res.status(400).json({ error: 'Body must be an incident object or a non-empty array of them' });
+      }
+
+      const results = req.processor.createIncidents(records, changeContext(req, 'api'));
+      console.log(`📥 [${name}] Added ${results.length} incidents`);
+      res.status(201).json(ingestResponse(results));
+    } catch (error) {
+      ingestError(res, name, error, 'adding incidents');
+    }
+  });
+
+  // ---- Bulk upload -- a CSV body with the theater's own column headers ----
+  router.post('/incidents/upload', requireAdmin, requireIngestion, async (req, res) => {
+    const { name } = req.theater.config;
+    try {
+      if (!req.is('text/csv')) {
+        return res.status(400).json({ error: 'Upload a CSV body with Content-Type: text/csv' });
+      }
+
+      const records = await readCsvBody(req);
+      if (!records.length) return res.status(400).json({ error: 'CSV upload has no rows' });
+
+      const results = req.processor.createIncidents(records, changeContext(req, 'csv-upload'));
+      console.log(`📥 [${name}] Added ${results.length} incidents from CSV upload`);
+      res.status(201).json(ingestResponse(results));
+    } catch (error) {
+      ingestError(res, name, error, 'uploading incidents');
+    }
+  });
+
+  // ---- Replace one incident with a corrected record ----
+  router.put('/incidents/:id', requireAdmin, requireIngestion, (req, res) => {
+    const { name } = req.theater.config;
+    try {
+      const id = Number(req.params.id);
+      if (!Number.isInteger(id) || id < 1) {
+        return res.status(400).json({ error: '"id" must be a positive integer' });
+      }
+      if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+        return res.status(400).json({ error: 'Body must be an incident object' });
+      }
+
+      const result = req.processor.correctIncident(id, req.body, changeContext(req, 'api'));
+      if (!result) return res.status(404).json({ error: `No ${name} incident with id ${id}` });
+
+      console.log(`📝 [${name}] Corrected incident ${id}`);
+      res.json({ incident: result.incident, warnings: result.warnings });
+    } catch (error) {
+      ingestError(res, name, error, 'correcting incident');
+    }
+  });
+
+  // ---- Audit log, newest first; ?id= narrows to one incident's history ----
+  router.get('/audit', requireAdmin, requireIngestion, (req, res) => {
+    const { name } = req.theater.config;
+    try {
+      // Both checked against the spec already (integer, in range)
+      const { limit = 100, id = null } = req.validated;
+
+      const entries = req.processor.audit.read()
+        .filter(entry => id === null || entry.id === id);
+      console.log(`📝 [${name}] Sent ${Math.min(limit, entries.length)} audit log entries`);
+      res.json({ total: entries.length, entries: entries.slice(-limit).reverse() });
+    } catch (error) {
+      console.error(`Error fetching ${name} audit log:`, error);
+      res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+  });
+
+  assertDocumented(router, THEATER_ROUTES);
+  return router;
+}
+
+module.exports = { createTheaterRouter, parseDateRange };
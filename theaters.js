@@ -0,0 +1,103 @@
+const path = require('path');
+
+const DATA_DIR = path.join(__dirname, 'data');
+
+// ===== THEATER CONFIG =====
+// One entry per dataset. Adding a theater means adding an entry here --
+// the processor, routes and startup loop are all driven from this list.
+//
+//   name          Display name used in logs and error messages
+//   aliasPrefix   Legacy URL prefix kept alongside /api/theaters/:id
+//   required      Exit on startup if this theater fails to load
+//   csvPath       Incident CSV
+//   boundaryPath  Country outline GeoJSON (optional). Incidents outside it
+//                 are flagged with `outsideBoundary: true`.
+//   regions       Admin-level boundary GeoJSON (optional) and the feature
+//                 properties holding each region's name and population.
+//                 Used to fill in `province` by point-in-polygon where the
+//                 CSV has none, and for the choropleth dashboard.
+//   heatmapPath   Precomputed heatmap JSON (optional)
+//   storage       'memory' (default) keeps every incident in arrays; 'sqlite'
+//                 ingests the CSV once into `sqlitePath` and answers queries
+//                 from there. Set per theater via <ID>_STORAGE in .env.
+//   sqlitePath    SQLite cache file, rebuilt whenever the source files or
+//                 column config change
+//   auditLogPath  NDJSON log of incidents added or corrected through the
+//                 admin ingestion endpoints, replayed on every load. Leave
+//                 out to disable ingestion for the theater.
+//   columns       Incident field -> CSV column. Attribute fields are emitted
+//                 on each incident in the order listed here. `mgrs`, when
+//                 mapped, fills in and cross-checks lat/lng.
+//   timezone      IANA zone the `dateTime` column is recorded in (default
+//                 'UTC'). Each incident gets a `timestamp` with that zone's
+//                 offset; use 'UTC' for data logged in Zulu time. Set per
+//                 theater via <ID>_TIMEZONE in .env.
+//   radarBuckets  Optional [{ label, start }] replacing the radar's
+//                 time-of-day buckets; each runs from its `start` hour to
+//                 the next one's, the last wrapping past midnight.
+//   defaults      Fallback value per field when the column is blank (else 'N/A')
+//   skip          Row-skip rules, see TheaterProcessor.SKIP_RULES
+//   vocabulary    Optional { type: {...}, category: {...} } mapping this
+//                 theater's values onto another theater's wording for
+//                 /api/compare, e.g. { category: { 'IDF': 'Indirect Fire' } }.
+//                 Case, spacing and punctuation differences match without it.
+module.exports = {
+  iraq: {
+    name:         'Iraq',
+    aliasPrefix:  '/api',
+    required:     true,
+    csvPath:      path.join(DATA_DIR, 'IQ_SIGACTs_-_cleaned.csv'),
+    boundaryPath: path.join(DATA_DIR, 'iq.json'),
+    // No Iraq admin boundaries ship with the data: provinces come from the
+    // CSV's Province column and /dashboard/choropleth answers 404. Add a
+    // `regions` entry like Afghanistan's to enable both.
+    regions:      null,
+    heatmapPath:  path.join(DATA_DIR, 'sigacts_data.json'),
+    storage:      process.env.IRAQ_STORAGE || 'memory',
+    sqlitePath:   path.join(DATA_DIR, 'iraq.sqlite'),
+    auditLogPath: path.join(DATA_DIR, 'iraq-audit.ndjson'),
+    timezone:     process.env.IRAQ_TIMEZONE || 'Asia/Baghdad',
+    columns: {
+      dateTime:       'date_time_occ',
+      mgrs:           'mgrs',
+      lat:            'mgrs_Y',
+      lng:            'mgrs_X',
+      type:           'Incident Type',
+      category:       'Incident Category',
+      targetCategory: 'Target Category',
+      target:         'target',
+      forceType:      'force_type',
+      city:           'City',
+      province:       'Province'
+    },
+    defaults: { type: 'Unknown' },
+    skip:     []
+  },
+
+  afghanistan: {
+    name:         'Afghanistan',
+    aliasPrefix:  '/api/afg',
+    required:     false,
+    csvPath:      path.join(DATA_DIR, 'AfgSigacts_cleaned.csv'),
+    boundaryPath: path.join(DATA_DIR, 'af.json'),
+    regions: {
+      path:               path.join(DATA_DIR, 'af_provinces.json'),
+      nameProperty:       'name',
+      populationProperty: 'population'
+    },
+    storage:      process.env.AFGHANISTAN_STORAGE || 'memory',
+    sqlitePath:   path.join(DATA_DIR, 'afghanistan.sqlite'),
+    auditLogPath: path.join(DATA_DIR, 'afghanistan-audit.ndjson'),
+    timezone:     process.env.AFGHANISTAN_TIMEZONE || 'Asia/Kabul',
+    columns: {
+      dateTime: 'date_time_occ',
+      mgrs:     'mgrs',   // e.g. '42SWD1234567890' -- fallback when the decimals don't parse
+      lat:      'mgrs_Y', // e.g. '35.83523N'
+      lng:      'mgrs_X', // e.g. '063.84149E'
+      type:     'Incident Type',
+      category: 'Incident Category'
+    },
+    defaults: {},
+    skip:     ['headerRows', 'missingType', 'invalidCoords']
+  }
+};
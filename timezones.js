@@ -0,0 +1,108 @@
+// Wall-clock times in an IANA time zone, converted with Intl so DST and
+// historical offset changes follow the runtime's tz database.
+//
+// Incident `date`/`time` stay as the source reported them; `timestamp` is
+// the same moment as ISO 8601 with the source zone's offset, e.g.
+// '2007-12-25T00:20:00+03:00'. Weekdays count from 0 = Monday, like the
+// heatmap calendar.
+
+const DAY_MS   = 86400000;
+const WEEKDAYS = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+const QUARTER_HOUR_MS = 900000;
+
+const formatters  = new Map(); // time zone -> Intl.DateTimeFormat
+const offsetCache = new Map(); // time zone -> quarter hour since epoch -> offset minutes
+
+// ---- Cached formatter giving numeric wall-clock parts in `timeZone` ----
+function formatterFor(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: 'numeric', day: 'numeric',
+      hour: 'numeric', minute: 'numeric', second: 'numeric'
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+// ---- Canonical name for an IANA zone ('utc' -> 'UTC'), or null if unknown ----
+function resolveTimeZone(name) {
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone: name }).resolvedOptions().timeZone;
+  } catch (error) {
+    return null;
+  }
+}
+
+// ---- Wall-clock { year, month, day, hour, minute, second } at an instant ----
+function wallClock(epochMs, timeZone) {
+  const parts = {};
+  for (const { type, value } of formatterFor(timeZone).formatToParts(new Date(epochMs))) {
+    if (type !== 'literal') parts[type] = Number(value);
+  }
+  return parts;
+}
+
+// ---- Minutes `timeZone` is ahead of UTC at an instant ----
+// Cached per quarter hour: zones change offset on quarter-hour boundaries,
+// and Intl is slow enough to matter over a whole dataset.
+function offsetMinutes(epochMs, timeZone) {
+  let offsets = offsetCache.get(timeZone);
+  if (!offsets) offsetCache.set(timeZone, offsets = new Map());
+
+  const slot = Math.floor(epochMs / QUARTER_HOUR_MS);
+  let offset = offsets.get(slot);
+  if (offset === undefined) {
+    const start = slot * QUARTER_HOUR_MS;
+    const { year, month, day, hour, minute, second } = wallClock(start, timeZone);
+    offset = Math.round((Date.UTC(year, month - 1, day, hour, minute, second) - start) / 60000);
+    offsets.set(slot, offset);
+  }
+  return offset;
+}
+
+// ---- Wall-clock time in `timeZone` as a Date whose UTC fields read it ----
+function shifted(epochMs, timeZone) {
+  return new Date(epochMs + offsetMinutes(epochMs, timeZone) * 60000);
+}
+
+// ---- '+03:00' / '-04:30' / 'Z' ----
+function formatOffset(minutes) {
+  if (!minutes) return 'Z';
+  const abs = Math.abs(minutes);
+  return `${minutes < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+// ---- ISO timestamp for a YYYY-MM-DD date and 'H:MM[:SS]' time in `timeZone` ----
+// Returns null without a time. A time skipped by a DST change is moved
+// forward by the gap; a repeated one resolves to its first occurrence.
+function zonedTimestamp(date, time, timeZone) {
+  if (!time) return null;
+
+  const [hours, minutes, seconds = 0] = time.split(':').map(Number);
+  const [year, month, day] = date.split('-').map(Number);
+  const wall = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+
+  // The offsets a day either side bracket any change near this time; an
+  // offset fits when the instant it gives really has that offset
+  const before = offsetMinutes(wall - DAY_MS, timeZone);
+  const after  = offsetMinutes(wall + DAY_MS, timeZone);
+  const fits   = [before, after].filter(offset => offsetMinutes(wall - offset * 60000, timeZone) === offset);
+  const offset = fits.length ? Math.max(...fits) : before;
+
+  // Rebuilt from the instant, so a skipped time reads as the one after the gap
+  const epoch = wall - offset * 60000;
+  return shifted(epoch, timeZone).toISOString().slice(0, 19) + formatOffset(offsetMinutes(epoch, timeZone));
+}
+
+// ---- { weekday, hour } of an ISO timestamp, seen in `timeZone` ----
+function weekdayHour(timestamp, timeZone) {
+  const local = shifted(Date.parse(timestamp), timeZone);
+  return { weekday: (local.getUTCDay() + 6) % 7, hour: local.getUTCHours() };
+}
+
+module.exports = { zonedTimestamp, weekdayHour, resolveTimeZone, WEEKDAYS };
@@ -0,0 +1,74 @@
+// Daily trend statistics: rolling averages, week-over-week change and days
+// flagged as anomalous against a baseline built from earlier days.
+//
+// Baseline methods:
+//   zscore    mean / std of the `baselineDays` days before each day
+//   seasonal  the same weekday over the previous floor(baselineDays / 7) weeks,
+//             so weekly rhythms don't read as surges
+
+const TREND_METHODS = ['zscore', 'seasonal'];
+
+// A flat baseline (std 0) would make any uptick infinitely anomalous
+const MIN_STD = 1;
+
+// ---- Days of history a day needs before all of its statistics exist ----
+function trendLookback({ window, baselineDays }) {
+  return Math.max(window - 1, 13, baselineDays);
+}
+
+const round = (value, places) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+// ---- Trend statistics for one zero-filled daily series ----
+// `counts` lines up with `days`; the first `offset` entries are history
+// before the requested range, used only to seed the windows. A statistic
+// is null until enough history exists for it.
+function trendSeries(days, counts, offset, { window, baselineDays, method, threshold, minCount }) {
+  // Prefix sums make every window total O(1)
+  const prefix = [0];
+  for (const count of counts) prefix.push(prefix[prefix.length - 1] + count);
+  const windowSum = (start, end) => prefix[end + 1] - prefix[start]; // inclusive
+
+  const weeks  = Math.floor(baselineDays / 7);
+  const result = { total: 0, counts: [], rollingAvg: [], weekOverWeek: [], baseline: [], anomalies: [] };
+
+  for (let i = offset; i < days.length; i++) {
+    const count = counts[i];
+    result.total += count;
+    result.counts.push(count);
+
+    result.rollingAvg.push(i >= window - 1 ? round(windowSum(i - window + 1, i) / window, 2) : null);
+
+    // Trailing 7 days against the 7 before them, as a percentage
+    const previousWeek = i >= 13 ? windowSum(i - 13, i - 7) : 0;
+    result.weekOverWeek.push(previousWeek
+      ? round((windowSum(i - 6, i) - previousWeek) / previousWeek * 100, 1)
+      : null);
+
+    let history = null;
+    if (method === 'seasonal' && weeks && i >= weeks * 7) {
+      history = Array.from({ length: weeks }, (_, k) => counts[i - (k + 1) * 7]);
+    } else if (method === 'zscore' && i >= baselineDays) {
+      history = counts.slice(i - baselineDays, i);
+    }
+    if (!history) {
+      result.baseline.push(null);
+      continue;
+    }
+
+    const mean = history.reduce((sum, c) => sum + c, 0) / history.length;
+    const std  = Math.sqrt(history.reduce((sum, c) => sum + (c - mean) ** 2, 0) / history.length);
+    const zScore = (count - mean) / Math.max(std, MIN_STD);
+    result.baseline.push(round(mean, 2));
+
+    if (zScore >= threshold && count >= minCount) {
+      result.anomalies.push({ date: days[i], count, baseline: round(mean, 2), zScore: round(zScore, 2) });
+    }
+  }
+
+  return result;
+}
+
+module.exports = { trendSeries, trendLookback, TREND_METHODS };